@@ -0,0 +1,184 @@
+/**
+ * Aiken Format Module
+ * Reads and writes Moodle's Aiken format: single-answer multiple choice,
+ * one question per block
+ *
+ *   What is the capital of Nigeria?
+ *   A. Lagos
+ *   B. Abuja
+ *   ANSWER: B
+ */
+
+const AikenFormat = (function () {
+    'use strict';
+
+    const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const OPTION_PATTERN = /^([A-Z])[.)]\s+(.*)$/;
+    const ANSWER_PATTERN = /^ANSWER:\s*([A-Z])\s*$/i;
+    const DEFAULT_MARKS = 1;
+
+    /**
+     * Parse Aiken text into exam questions
+     * @param {string} text - Aiken file contents
+     * @returns {object} { questions, errors, warnings } - errors stop the
+     *   import; warnings list what was left out or changed
+     */
+    function parse(text) {
+        const questions = [];
+        const errors = [];
+        let block = [];
+
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        lines.forEach((line, index) => {
+            const trimmed = line.trim();
+            if (trimmed) {
+                block.push({ text: trimmed, lineNumber: index + 1 });
+            }
+
+            // An ANSWER line ends a question, blank line or not
+            if (ANSWER_PATTERN.test(trimmed)) {
+                readBlock(block, questions, errors);
+                block = [];
+            }
+        });
+
+        if (block.length > 0) {
+            errors.push(`Line ${block[0].lineNumber}: Question has no ANSWER line`);
+        }
+        if (questions.length === 0 && errors.length === 0) {
+            errors.push('No questions found');
+        }
+
+        return { questions, errors, warnings: [] };
+    }
+
+    /**
+     * One question: text lines, option lines, ANSWER line
+     */
+    function readBlock(block, questions, errors) {
+        const start = block[0].lineNumber;
+        const answerLine = block[block.length - 1].text;
+        const firstOption = block.findIndex(line => OPTION_PATTERN.test(line.text));
+
+        if (firstOption <= 0) {
+            errors.push(`Line ${start}: ${firstOption === 0 ? 'Question text is missing' : 'Question has no options'}`);
+            return;
+        }
+
+        const options = {};
+        const optionLines = block.slice(firstOption, -1);
+        for (let i = 0; i < optionLines.length; i++) {
+            const match = optionLines[i].text.match(OPTION_PATTERN);
+            const expected = OPTION_KEYS[i];
+            if (!match) {
+                errors.push(`Line ${optionLines[i].lineNumber}: Expected option ${expected || ''} or ANSWER, got "${optionLines[i].text}"`);
+                return;
+            }
+            if (!expected) {
+                errors.push(`Line ${optionLines[i].lineNumber}: At most ${OPTION_KEYS.length} options (A-F) are supported`);
+                return;
+            }
+            if (match[1] !== expected) {
+                errors.push(`Line ${optionLines[i].lineNumber}: Expected option ${expected}, got ${match[1]}`);
+                return;
+            }
+            options[expected] = match[2].trim();
+        }
+
+        const answer = answerLine.match(ANSWER_PATTERN)[1].toUpperCase();
+        if (optionLines.length < 2) {
+            errors.push(`Line ${start}: Expected at least 2 options, got ${optionLines.length}`);
+            return;
+        }
+        if (!options[answer]) {
+            errors.push(`Line ${block[block.length - 1].lineNumber}: ANSWER ${answer} is not one of the options`);
+            return;
+        }
+
+        const questionNumber = questions.length + 1;
+        questions.push({
+            questionId: `Q${String(questionNumber).padStart(3, '0')}`,
+            questionNumber,
+            questionText: block.slice(0, firstOption).map(line => line.text).join(' '),
+            options,
+            correctAnswer: answer,
+            marks: DEFAULT_MARKS
+        });
+    }
+
+    /**
+     * Write an exam's questions as Aiken text. Aiken only holds
+     * single-answer multiple choice, so other questions are left out and
+     * everything that doesn't carry over is listed in warnings.
+     * @param {object} exam - Exam data
+     * @returns {object} { text, warnings }
+     */
+    function serialize(exam) {
+        const blocks = [];
+        const warnings = [];
+        const lost = { marks: [], explanation: [], topic: [], labels: [], weights: [], images: [] };
+
+        (exam.questions || []).forEach(question => {
+            const label = `Question ${question.questionNumber} (${question.questionId})`;
+
+            if (!question.options || question.type === 'multiple') {
+                warnings.push(`${label} left out: Aiken only holds single-answer multiple choice`);
+                return;
+            }
+
+            const lines = [oneLine(question.questionText)];
+            // Images are dropped, so an image-only option falls back to its alt text
+            Object.keys(question.options).sort().forEach(key => {
+                const image = question.optionImages && question.optionImages[key];
+                lines.push(`${key}. ${oneLine(question.options[key] || image.alt)}`);
+            });
+            lines.push(`ANSWER: ${question.correctAnswer}`);
+            blocks.push(lines.join('\n'));
+
+            if (question.marks !== DEFAULT_MARKS) lost.marks.push(question.questionNumber);
+            if (question.explanation) lost.explanation.push(question.questionNumber);
+            if (question.topic) lost.topic.push(question.questionNumber);
+            if (question.difficulty || question.objective || question.tags) lost.labels.push(question.questionNumber);
+            if (question.optionWeights) lost.weights.push(question.questionNumber);
+            if (question.image || question.optionImages) lost.images.push(question.questionNumber);
+        });
+
+        addLossWarning(warnings, lost.marks, 'marks (Aiken questions are worth 1 mark)');
+        addLossWarning(warnings, lost.explanation, 'explanations');
+        addLossWarning(warnings, lost.topic, 'topics');
+        addLossWarning(warnings, lost.labels, 'difficulty, objectives and tags');
+        addLossWarning(warnings, lost.weights, 'partial-credit weights');
+        addLossWarning(warnings, lost.images, 'images');
+        if (exam.passages && exam.passages.length > 0) {
+            warnings.push(`Passages not kept: ${exam.passages.map(p => p.passageId).join(', ')} (their questions are exported without the passage text)`);
+        }
+        if (exam.pools) {
+            warnings.push(`Pools not kept: ${exam.pools.map(pool => pool.poolId).join(', ')} (every question in the bank is exported)`);
+        }
+
+        return { text: blocks.length > 0 ? blocks.join('\n\n') + '\n' : '', warnings };
+    }
+
+    function addLossWarning(warnings, questionNumbers, what) {
+        if (questionNumbers.length > 0) {
+            warnings.push(`Not kept for question(s) ${questionNumbers.join(', ')}: ${what}`);
+        }
+    }
+
+    function oneLine(value) {
+        return String(value).replace(/\s*\n\s*/g, ' ');
+    }
+
+    // Public API
+    return {
+        parse,
+        serialize
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AikenFormat;
+} else if (typeof window !== 'undefined') {
+    window.AikenFormat = AikenFormat;
+}
@@ -8,17 +8,44 @@ const App = (function () {
 
     // DOM elements
     let inputTextarea;
+    let inputHighlight;
+    let diagnosticsList;
+    let lenientCheckbox;
     let parseButton;
     let downloadButton;
+    let downloadEncryptedButton;
+    let passcodeInput;
+    let passcodeConfirmInput;
     let clearButton;
     let loadSampleButton;
+    let openJsonInput;
+    let csvInput;
+    let csvMappingDiv;
+    let csvMappingSummary;
+    let csvMappingFields;
+    let csvImportButton;
+    let csvCancelButton;
+    let moodleInput;
+    let exportAikenButton;
+    let exportGiftButton;
+    let qtiInput;
+    let exportQtiButton;
     let messageDiv;
     let previewDiv;
     let previewContent;
     let togglePreviewButton;
+    let questionPreviewDiv;
+    let questionPreviewList;
+    let toggleQuestionPreviewButton;
 
     // State
     let currentExamData = null;
+    let csvImport = null; // { filename, rows } while the column mapping is shown
+    let flaggedLines = new Map(); // Line number -> 'error', 'warning' or 'info', highlighted in the textarea
+
+    // Which highlight a line gets when several problems share it
+    const SEVERITY_RANK = { info: 0, warning: 1, error: 2 };
+    const SEVERITY_ICONS = { info: '✎', warning: '⚠', error: '✕' };
 
     /**
      * Initialize the application
@@ -26,24 +53,65 @@ const App = (function () {
     function init() {
         // Get DOM elements
         inputTextarea = document.getElementById('input-text');
+        inputHighlight = document.getElementById('input-highlight');
+        diagnosticsList = document.getElementById('diagnostics');
+        lenientCheckbox = document.getElementById('lenient-mode');
         parseButton = document.getElementById('parse-btn');
         downloadButton = document.getElementById('download-btn');
+        downloadEncryptedButton = document.getElementById('download-encrypted-btn');
+        passcodeInput = document.getElementById('exam-passcode');
+        passcodeConfirmInput = document.getElementById('exam-passcode-confirm');
         clearButton = document.getElementById('clear-btn');
         loadSampleButton = document.getElementById('load-sample-btn');
+        openJsonInput = document.getElementById('open-json-input');
+        csvInput = document.getElementById('csv-input');
+        csvMappingDiv = document.getElementById('csv-mapping');
+        csvMappingSummary = document.getElementById('csv-mapping-summary');
+        csvMappingFields = document.getElementById('csv-mapping-fields');
+        csvImportButton = document.getElementById('csv-import-btn');
+        csvCancelButton = document.getElementById('csv-cancel-btn');
+        moodleInput = document.getElementById('moodle-input');
+        exportAikenButton = document.getElementById('export-aiken-btn');
+        exportGiftButton = document.getElementById('export-gift-btn');
+        qtiInput = document.getElementById('qti-input');
+        exportQtiButton = document.getElementById('export-qti-btn');
         messageDiv = document.getElementById('message');
         previewDiv = document.getElementById('preview');
         previewContent = document.getElementById('preview-content');
         togglePreviewButton = document.getElementById('toggle-preview');
+        questionPreviewDiv = document.getElementById('question-preview');
+        questionPreviewList = document.getElementById('question-preview-list');
+        toggleQuestionPreviewButton = document.getElementById('toggle-question-preview');
 
         // Attach event listeners
         parseButton.addEventListener('click', handleParse);
+        inputTextarea.addEventListener('input', renderHighlight);
+        inputTextarea.addEventListener('paste', handlePaste);
+        inputTextarea.addEventListener('scroll', () => {
+            inputHighlight.scrollTop = inputTextarea.scrollTop;
+        });
         downloadButton.addEventListener('click', handleDownload);
+        downloadEncryptedButton.addEventListener('click', handleDownloadEncrypted);
         clearButton.addEventListener('click', handleClear);
         loadSampleButton.addEventListener('click', handleLoadSample);
+        openJsonInput.addEventListener('change', handleOpenJson);
+        csvInput.addEventListener('change', handleOpenCsv);
+        csvImportButton.addEventListener('click', handleImportCsv);
+        csvCancelButton.addEventListener('click', hideCsvMapping);
+        moodleInput.addEventListener('change', handleOpenMoodle);
+        exportAikenButton.addEventListener('click', () => handleExport('aiken'));
+        exportGiftButton.addEventListener('click', () => handleExport('gift'));
+        qtiInput.addEventListener('change', handleOpenQti);
+        exportQtiButton.addEventListener('click', handleExportQti);
         togglePreviewButton.addEventListener('click', handleTogglePreview);
+        toggleQuestionPreviewButton.addEventListener('click', handleToggleQuestionPreview);
 
-        // Initialize download button as disabled
+        // Initialize download buttons as disabled
         downloadButton.disabled = true;
+        exportAikenButton.disabled = true;
+        exportGiftButton.disabled = true;
+        exportQtiButton.disabled = true;
+        downloadEncryptedButton.disabled = true;
 
         // Load exam schema and initialize validator
         loadSchema();
@@ -77,38 +145,74 @@ const App = (function () {
      * Handle parse button click
      */
     function handleParse() {
-        const inputText = inputTextarea.value.trim();
+        // Parsed as shown (not trimmed) so line numbers match the textarea
+        const inputText = inputTextarea.value;
 
-        if (!inputText) {
+        if (!inputText.trim()) {
+            showDiagnostics([]);
             showMessage('Please enter exam questions in the text area', 'error');
             return;
         }
 
         try {
-            // Parse the input text
-            const examData = Parser.parseExam(inputText);
-
-            // Validate against schema
-            const validation = Validator.validate(examData, 'exam');
-
-            if (!validation.valid) {
-                const errorMsg = 'Validation failed:\n' + Validator.formatErrors(validation.errors);
-                showMessage(errorMsg, 'error');
+            // Parse the input text, collecting every problem
+            const { exam: examData, diagnostics, locations } = Parser.parseExamWithDiagnostics(inputText, {
+                lenient: lenientCheckbox.checked
+            });
+
+            // Validate against schema (only once the text itself parses)
+            const validation = examData ? Validator.validate(examData, 'exam') : { valid: true, errors: [] };
+
+            if (!examData || !validation.valid) {
+                const problems = diagnostics
+                    .concat(validation.errors.map(error => locateValidationError(error, examData, locations)))
+                    .sort((a, b) => a.line - b.line);
+                showDiagnostics(problems);
+
+                const errorCount = problems.filter(problem => problem.severity === 'error').length;
+                const warningCount = problems.filter(problem => problem.severity === 'warning').length;
+                showMessage(
+                    `${examData ? 'Validation' : 'Parsing'} failed: ${errorCount} error(s)` +
+                    `${warningCount > 0 ? ` and ${warningCount} warning(s)` : ''}. ` +
+                    'The lines are highlighted in the text; click a problem in the list below it to jump there.',
+                    'error'
+                );
                 currentExamData = null;
                 downloadButton.disabled = true;
+                exportAikenButton.disabled = true;
+                exportGiftButton.disabled = true;
+                exportQtiButton.disabled = true;
+                downloadEncryptedButton.disabled = true;
                 return;
             }
 
-            // Success!
+            // Success! (warnings and corrections, if any, stay listed under the text)
+            showDiagnostics(diagnostics);
             currentExamData = examData;
             downloadButton.disabled = false;
+            exportAikenButton.disabled = false;
+            exportGiftButton.disabled = false;
+            exportQtiButton.disabled = false;
+            downloadEncryptedButton.disabled = false;
 
             // Show preview
             previewContent.textContent = JSON.stringify(examData, null, 2);
             previewDiv.classList.remove('hidden');
-
+            renderQuestionPreview(examData);
+
+            const warningCount = diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length;
+            const correctionCount = diagnostics.length - warningCount;
+            const notes = [];
+            if (correctionCount > 0) notes.push(`${correctionCount} correction(s)`);
+            if (warningCount > 0) notes.push(`${warningCount} warning(s)`);
+            const perStudent = examData.pools
+                ? examData.questions.filter(q => !q.pool).length + examData.pools.reduce((sum, pool) => sum + pool.draw, 0)
+                : null;
             showMessage(
-                `✓ Successfully parsed ${examData.questions.length} question(s). Exam ID: ${examData.examId}`,
+                `✓ Successfully parsed ${examData.questions.length} question(s)` +
+                (perStudent !== null ? ` (each student gets ${perStudent}, drawn from pools)` : '') +
+                `. Exam ID: ${examData.examId}` +
+                (notes.length > 0 ? `\nCheck the ${notes.join(' and ')} listed under the text.` : ''),
                 'success'
             );
 
@@ -116,6 +220,189 @@ const App = (function () {
             showMessage(`Parse error: ${error.message}`, 'error');
             currentExamData = null;
             downloadButton.disabled = true;
+            exportAikenButton.disabled = true;
+            exportGiftButton.disabled = true;
+            exportQtiButton.disabled = true;
+            downloadEncryptedButton.disabled = true;
+        }
+    }
+
+    /**
+     * With Word-style formatting accepted, keep bold answers when pasting:
+     * the plain text loses bold, so bold options are marked with "*"
+     * using the HTML copy on the clipboard
+     * @param {ClipboardEvent} event - Paste event
+     */
+    function handlePaste(event) {
+        if (!lenientCheckbox.checked || !event.clipboardData) return;
+
+        const html = event.clipboardData.getData('text/html');
+        const text = event.clipboardData.getData('text/plain');
+        if (!html || !text) return;
+
+        const marked = Parser.markBoldAnswers(text, collectBoldText(html));
+        if (marked === text.replace(/\r\n?/g, '\n')) return;
+
+        event.preventDefault();
+        inputTextarea.setRangeText(marked, inputTextarea.selectionStart, inputTextarea.selectionEnd, 'end');
+        renderHighlight();
+        showMessage('Options that were bold in the pasted text are marked with * as the answers. Check them after parsing.', 'info');
+    }
+
+    /**
+     * Bold text in pasted HTML, one entry per paragraph (Word splits
+     * formatting into many runs, so a paragraph's bold runs are joined)
+     * @param {string} html - Clipboard HTML
+     * @returns {Set} Bold text of each paragraph, whitespace collapsed
+     */
+    function collectBoldText(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const blockSelector = 'p, li, div, td, th, h1, h2, h3, h4, h5, h6';
+        const boldTexts = new Set();
+
+        doc.body.querySelectorAll(blockSelector).forEach(block => {
+            if (block.querySelector(blockSelector)) return;
+
+            let bold = '';
+            const walker = doc.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                if (isBold(walker.currentNode.parentElement, block)) {
+                    bold += walker.currentNode.textContent;
+                }
+            }
+            bold = bold.replace(/\s+/g, ' ').trim();
+            if (bold) {
+                boldTexts.add(bold);
+            }
+        });
+        return boldTexts;
+    }
+
+    /**
+     * Whether text in an element shows bold. An inline font-weight wins
+     * over a <b> around it (Google Docs wraps everything in a normal-weight <b>).
+     * @param {Element} element - Text node's parent
+     * @param {Element} block - Paragraph to stop at
+     * @returns {boolean}
+     */
+    function isBold(element, block) {
+        for (let node = element; node; node = node.parentElement) {
+            const weight = node.style && node.style.fontWeight;
+            if (weight) {
+                return weight === 'bold' || weight === 'bolder' || Number(weight) >= 600;
+            }
+            if (node.tagName === 'B' || node.tagName === 'STRONG') {
+                return true;
+            }
+            if (node === block) break;
+        }
+        return false;
+    }
+
+    /**
+     * Place a schema validation error on the lines it came from
+     * @param {object} error - { path, message } from Validator.validate
+     * @param {object} examData - Parsed exam
+     * @param {object} locations - From Parser.parseExamWithDiagnostics
+     * @returns {object} Diagnostic ({ severity, message, line, column, endLine, endColumn })
+     */
+    function locateValidationError(error, examData, locations) {
+        const match = error.path.match(/^\/(questions|passages)\/(\d+)(?:\/(.+))?$/);
+        if (match && locations[match[1]][Number(match[2])]) {
+            const item = examData[match[1]][Number(match[2])];
+            const label = match[1] === 'questions' ? `Question ${item.questionNumber}` : `Passage ${item.passageId}`;
+            return {
+                severity: 'error',
+                message: `${label}${match[3] ? ` (${match[3]})` : ''}: ${error.message}`,
+                ...locations[match[1]][Number(match[2])]
+            };
+        }
+        return { severity: 'error', message: `${error.path}: ${error.message}`, ...locations.metadata };
+    }
+
+    /**
+     * List parse problems under the textarea and highlight their lines
+     * @param {array} diagnostics - { severity, message, line, column, endLine, endColumn }
+     */
+    function showDiagnostics(diagnostics) {
+        flaggedLines = new Map();
+        diagnosticsList.innerHTML = '';
+
+        diagnostics.forEach(diagnostic => {
+            for (let line = diagnostic.line; line <= diagnostic.endLine; line++) {
+                const flagged = flaggedLines.get(line);
+                if (!flagged || SEVERITY_RANK[diagnostic.severity] > SEVERITY_RANK[flagged]) {
+                    flaggedLines.set(line, diagnostic.severity);
+                }
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = diagnostic.severity;
+            button.title = 'Select these lines in the text';
+            const lineLabel = document.createElement('span');
+            lineLabel.className = 'diagnostic-line';
+            lineLabel.textContent = diagnostic.endLine > diagnostic.line
+                ? `Lines ${diagnostic.line}-${diagnostic.endLine}`
+                : `Line ${diagnostic.line}`;
+            button.append(lineLabel, `${SEVERITY_ICONS[diagnostic.severity]} ${diagnostic.message}`);
+            button.addEventListener('click', () => selectDiagnostic(diagnostic));
+
+            const item = document.createElement('li');
+            item.appendChild(button);
+            diagnosticsList.appendChild(item);
+        });
+
+        diagnosticsList.classList.toggle('hidden', diagnostics.length === 0);
+        renderHighlight();
+    }
+
+    /**
+     * Redraw the copy of the text behind the textarea, marking flagged lines.
+     * Runs on every edit so the marks stay under their lines as the text scrolls.
+     */
+    function renderHighlight() {
+        inputHighlight.innerHTML = '';
+        if (flaggedLines.size === 0) return;
+
+        inputTextarea.value.split('\n').forEach((text, index) => {
+            const severity = flaggedLines.get(index + 1);
+            if (index > 0) {
+                inputHighlight.appendChild(document.createTextNode('\n'));
+            }
+            if (severity) {
+                const mark = document.createElement('mark');
+                mark.className = severity;
+                mark.dataset.line = index + 1;
+                mark.textContent = text || ' ';
+                inputHighlight.appendChild(mark);
+            } else {
+                inputHighlight.appendChild(document.createTextNode(text));
+            }
+        });
+        // A trailing newline only takes up height with something after it
+        inputHighlight.appendChild(document.createTextNode(' '));
+        inputHighlight.scrollTop = inputTextarea.scrollTop;
+    }
+
+    /**
+     * Select a problem's lines in the textarea and scroll them into view
+     * @param {object} diagnostic - { line, column, endLine, endColumn }
+     */
+    function selectDiagnostic(diagnostic) {
+        const lines = inputTextarea.value.split('\n');
+        const offset = (line, column) => {
+            const lineStart = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+            return Math.min(lineStart + column - 1, inputTextarea.value.length);
+        };
+
+        inputTextarea.focus();
+        inputTextarea.setSelectionRange(offset(diagnostic.line, diagnostic.column), offset(diagnostic.endLine, diagnostic.endColumn));
+
+        // The highlight copy wraps lines as the textarea does, so its marks give the position
+        const mark = inputHighlight.querySelector(`mark[data-line="${diagnostic.line}"]`);
+        if (mark) {
+            inputTextarea.scrollTop = Math.max(0, mark.offsetTop - inputTextarea.clientHeight / 3);
         }
     }
 
@@ -129,44 +416,175 @@ const App = (function () {
         }
 
         try {
-            // Convert to JSON string
-            const jsonString = JSON.stringify(currentExamData, null, 2);
+            saveJsonFile(`${currentExamData.examId}.json`, currentExamData);
 
-            // Create blob and download
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
+            showMessage(
+                `✓ Downloaded ${currentExamData.examId}.json. Save it to the /exams/ folder.`,
+                'success'
+            );
 
-            // Create temporary link and trigger download
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${currentExamData.examId}.json`;
-            document.body.appendChild(a);
-            a.click();
+        } catch (error) {
+            showMessage(`Download error: ${error.message}`, 'error');
+        }
+    }
 
-            // Cleanup
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+    /**
+     * Handle encrypted download: the package is only usable with the passcode
+     */
+    async function handleDownloadEncrypted() {
+        if (!currentExamData) {
+            showMessage('No exam data to download. Please parse first.', 'error');
+            return;
+        }
+        if (!ExamCrypto.isSupported()) {
+            showMessage('Encryption needs a secure page (https:// or localhost). Open the admin tool from the school server.', 'error');
+            return;
+        }
+
+        const passcode = passcodeInput.value;
+        if (passcode.length < ExamCrypto.MIN_PASSCODE_LENGTH) {
+            showMessage(`Passcode must be at least ${ExamCrypto.MIN_PASSCODE_LENGTH} characters.`, 'error');
+            return;
+        }
+        if (passcode !== passcodeConfirmInput.value) {
+            showMessage('Passcodes do not match.', 'error');
+            return;
+        }
+
+        downloadEncryptedButton.disabled = true;
+        try {
+            const pkg = await ExamCrypto.encryptExam(currentExamData, passcode);
+            saveJsonFile(`${currentExamData.examId}.json`, pkg);
 
             showMessage(
-                `✓ Downloaded ${currentExamData.examId}.json. Save it to the /exams/ folder.`,
+                `✓ Downloaded encrypted ${currentExamData.examId}.json. Save it to the /exams/ folder in place of the plain file, and give the passcode to invigilators only.`,
                 'success'
             );
+        } catch (error) {
+            showMessage(`Encryption error: ${error.message}`, 'error');
+        } finally {
+            downloadEncryptedButton.disabled = !currentExamData;
+        }
+    }
+
+    /**
+     * Download the parsed exam as Aiken or GIFT text for Moodle, listing
+     * whatever the format can't hold
+     * @param {string} format - 'aiken' or 'gift'
+     */
+    function handleExport(format) {
+        if (!currentExamData) {
+            showMessage('No exam data to export. Please parse first.', 'error');
+            return;
+        }
+
+        const name = format === 'aiken' ? 'Aiken' : 'GIFT';
+        const { text, warnings } = (format === 'aiken' ? AikenFormat : GiftFormat).serialize(currentExamData);
+        const notes = warnings.length > 0 ? `\nCheck before importing into Moodle:\n- ${warnings.join('\n- ')}` : '';
+
+        if (!text) {
+            showMessage(`Nothing to export: none of the questions can be written as ${name}.${notes}`, 'error');
+            return;
+        }
+
+        const filename = `${currentExamData.examId}.${format}.txt`;
+        saveTextFile(filename, text, 'text/plain');
+        showMessage(`✓ Downloaded ${filename}. Import it in Moodle as "${name} format".${notes}`, 'success');
+    }
+
+    /**
+     * Download the parsed exam as a QTI 2.1 package (zip). Images are
+     * fetched from /exams/ so they travel with the items; any that can't
+     * be fetched are listed.
+     */
+    async function handleExportQti() {
+        if (!currentExamData) {
+            showMessage('No exam data to export. Please parse first.', 'error');
+            return;
+        }
+
+        exportQtiButton.disabled = true;
+        try {
+            const { files, images, warnings } = QtiFormat.exportPackage(currentExamData);
+
+            const missing = [];
+            for (const src of images) {
+                try {
+                    const response = await fetch(`../exams/${src}`);
+                    if (!response.ok) throw new Error(response.statusText);
+                    files.push({ name: src, data: new Uint8Array(await response.arrayBuffer()) });
+                } catch (error) {
+                    missing.push(src);
+                }
+            }
+            if (missing.length > 0) {
+                warnings.push(`Image files not found under /exams/, add them to the zip yourself: ${missing.join(', ')}`);
+            }
 
+            const filename = `${currentExamData.examId}-qti.zip`;
+            saveTextFile(filename, ZipArchive.createZip(files), 'application/zip');
+            showMessage(
+                `✓ Downloaded ${filename} (QTI 2.1, ${currentExamData.questions.length} item(s)).\nCheck before importing elsewhere:\n- ${warnings.join('\n- ')}`,
+                'success'
+            );
         } catch (error) {
-            showMessage(`Download error: ${error.message}`, 'error');
+            showMessage(`Export error: ${error.message}`, 'error');
+        } finally {
+            exportQtiButton.disabled = !currentExamData;
         }
     }
 
+    /**
+     * Save data as a pretty-printed JSON download
+     * @param {string} filename - Download file name
+     * @param {object} data - Data to save
+     */
+    function saveJsonFile(filename, data) {
+        saveTextFile(filename, JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    /**
+     * Save text (or bytes) as a file download
+     * @param {string} filename - Download file name
+     * @param {string|Uint8Array} text - File contents
+     * @param {string} type - MIME type
+     */
+    function saveTextFile(filename, text, type) {
+        // Create blob and download
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+
+        // Create temporary link and trigger download
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+
+        // Cleanup
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Handle clear button click
      */
     function handleClear() {
         if (confirm('Are you sure you want to clear all data?')) {
             inputTextarea.value = '';
+            showDiagnostics([]);
             currentExamData = null;
             downloadButton.disabled = true;
+            exportAikenButton.disabled = true;
+            exportGiftButton.disabled = true;
+            exportQtiButton.disabled = true;
+            downloadEncryptedButton.disabled = true;
+            passcodeInput.value = '';
+            passcodeConfirmInput.value = '';
             previewDiv.classList.add('hidden');
             previewContent.textContent = '';
+            questionPreviewDiv.classList.add('hidden');
+            questionPreviewList.innerHTML = '';
             showMessage('Form cleared', 'info');
         }
     }
@@ -177,12 +595,265 @@ const App = (function () {
     async function handleLoadSample() {
         if (window.SAMPLE_INPUT_TEXT) {
             inputTextarea.value = window.SAMPLE_INPUT_TEXT;
+            showDiagnostics([]);
             showMessage('Sample input loaded. Click "Parse & Validate" to process.', 'info');
         } else {
             showMessage('Failed to load sample: Sample text not found in index.html', 'error');
         }
     }
 
+    /**
+     * Open an exam JSON file (plain or encrypted) for editing: it is turned
+     * back into text and parsed again, so the previews and downloads work as usual
+     */
+    async function handleOpenJson(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            let examData = JSON.parse(await file.text());
+            const encrypted = ExamCrypto.isEncryptedPackage(examData);
+
+            if (encrypted) {
+                if (!passcodeInput.value) {
+                    showMessage(`${file.name} is encrypted. Enter its passcode under "Invigilator passcode" and open it again.`, 'error');
+                    return;
+                }
+                examData = (await ExamCrypto.decryptExam(examData, passcodeInput.value)).exam;
+            }
+
+            inputTextarea.value = Parser.serializeExam(examData);
+            handleParse();
+
+            // On failure handleParse has already shown what to fix
+            if (currentExamData) {
+                showMessage(
+                    `✓ Opened ${file.name}. Edit the text, then click "Parse & Validate" again.` +
+                    (encrypted ? ' Use "Download Encrypted" to save it encrypted again.' : ''),
+                    'success'
+                );
+            }
+        } catch (error) {
+            showMessage(`Could not open ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Read a CSV file and show its columns matched to question fields,
+     * for the user to check before importing
+     */
+    async function handleOpenCsv(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const rows = CsvImport.parseCsv(await file.text());
+            if (rows.length < 2) {
+                showMessage(`${file.name} has no question rows under its header row.`, 'error');
+                return;
+            }
+
+            csvImport = { filename: file.name, rows };
+            renderCsvMapping(rows[0], CsvImport.guessMapping(rows[0]));
+        } catch (error) {
+            showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * One column picker per question field, preset from the header names
+     */
+    function renderCsvMapping(headers, mapping) {
+        csvMappingFields.innerHTML = '';
+
+        CsvImport.FIELDS.forEach(field => {
+            const wrapper = document.createElement('div');
+            const label = document.createElement('label');
+            const select = document.createElement('select');
+
+            select.id = `csv-field-${field.key}`;
+            select.className = 'text-input';
+            select.dataset.field = field.key;
+            label.htmlFor = select.id;
+            label.textContent = field.required ? `${field.label} *` : field.label;
+
+            const none = document.createElement('option');
+            none.value = '-1';
+            none.textContent = '(not in file)';
+            select.appendChild(none);
+
+            headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = header.trim() || `Column ${index + 1}`;
+                select.appendChild(option);
+            });
+            select.value = String(mapping[field.key]);
+
+            wrapper.appendChild(label);
+            wrapper.appendChild(select);
+            csvMappingFields.appendChild(wrapper);
+        });
+
+        const matched = Object.values(mapping).filter(index => index >= 0).length;
+        csvMappingSummary.textContent = `${csvImport.filename}: ${csvImport.rows.length - 1} row(s), ` +
+            `${matched} of ${headers.length} column(s) matched by heading. Check the columns below; ` +
+            'rows without a Marks column get 1 mark each.';
+        csvMappingDiv.classList.remove('hidden');
+    }
+
+    function hideCsvMapping() {
+        csvImport = null;
+        csvMappingDiv.classList.add('hidden');
+        csvMappingFields.innerHTML = '';
+    }
+
+    /**
+     * Convert the rows with the chosen columns and put the questions in the
+     * text area under its current metadata. Row problems stop the import and
+     * are listed by spreadsheet row number.
+     */
+    function handleImportCsv() {
+        if (!csvImport) return;
+
+        const mapping = {};
+        csvMappingFields.querySelectorAll('select').forEach(select => {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        });
+
+        const result = CsvImport.toQuestionText(csvImport.rows, mapping);
+        if (result.errors.length > 0) {
+            const lines = result.errors.map(error => `Row ${error.row}: ${error.message}`);
+            showMessage(`${csvImport.filename} was not imported:\n${lines.join('\n')}`, 'error');
+            return;
+        }
+
+        const filename = csvImport.filename;
+        hideCsvMapping();
+        insertImportedQuestions(result.text, result.totalMarks, result.count, filename);
+    }
+
+    /**
+     * Read an Aiken or GIFT file exported from Moodle. Questions that
+     * can't be represented are left out and listed with the other changes.
+     */
+    async function handleOpenMoodle(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            // Every Aiken question ends with an ANSWER line; GIFT has none
+            const aiken = !/\.gift(\.txt)?$/i.test(file.name) && /^\s*ANSWER:\s*[A-Z]\s*$/im.test(text);
+            const name = aiken ? 'Aiken' : 'GIFT';
+            const result = (aiken ? AikenFormat : GiftFormat).parse(text);
+            const notes = result.warnings.length > 0 ? `\nCheck these:\n- ${result.warnings.join('\n- ')}` : '';
+
+            if (result.errors.length > 0) {
+                showMessage(`${file.name} (${name}) was not imported:\n${result.errors.join('\n')}${notes}`, 'error');
+                return;
+            }
+            if (result.questions.length === 0) {
+                showMessage(`${file.name} (${name}) has no questions that can be imported.${notes}`, 'error');
+                return;
+            }
+
+            const totalMarks = result.questions.reduce((sum, q) => sum + q.marks, 0);
+            insertImportedQuestions(Parser.serializeQuestions(result.questions), totalMarks, result.questions.length, `${file.name} (${name})`, notes);
+        } catch (error) {
+            showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Read a QTI 2.1 package. Choice and text-entry items become questions;
+     * the import report lists the items left out and why.
+     */
+    async function handleOpenQti(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const result = QtiFormat.parsePackage(await ZipArchive.readZip(await file.arrayBuffer()));
+            const notes = result.warnings.length > 0 ? `\nImport report:\n- ${result.warnings.join('\n- ')}` : '';
+
+            if (result.errors.length > 0) {
+                showMessage(`${file.name} was not imported:\n${result.errors.join('\n')}${notes}`, 'error');
+                return;
+            }
+
+            const images = result.questions.some(q => q.image || q.optionImages)
+                ? '\nCopy the image files from the package into /exams/, keeping their folders.'
+                : '';
+            const totalMarks = result.questions.reduce((sum, q) => sum + q.marks, 0);
+            insertImportedQuestions(
+                Parser.serializeQuestions(result.questions, result.passages),
+                totalMarks,
+                result.questions.length,
+                `${file.name} (QTI)`,
+                notes + images,
+                result.metadata
+            );
+        } catch (error) {
+            showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Put imported questions in the text area under its current metadata
+     * (or a blank header to fill in) and parse the result. A kept header's
+     * TOTAL_MARKS is set to the imported questions' marks.
+     * @param {string} questionsText - Questions section of the text format
+     * @param {number} totalMarks - Sum of the questions' marks
+     * @param {number} count - Number of questions
+     * @param {string} source - Where they came from, for the message
+     * @param {string} notes - Extra lines for the message
+     * @param {object} known - Exam details the source carried, for the blank header
+     */
+    function insertImportedQuestions(questionsText, totalMarks, count, source, notes = '', known = {}) {
+        const current = inputTextarea.value.trim();
+        let metadata = current.includes('---') ? current.split('---')[0].trim() : '';
+
+        // The kept header's total was for the questions being replaced
+        if (metadata) {
+            const totalLine = metadata.match(/^TOTAL_MARKS:[ \t]*(.*)$/m);
+            if (/^POOLS:/m.test(metadata)) {
+                notes = `\nCheck TOTAL_MARKS: with POOLS it is the marks of one student's draw, not all ${totalMarks} imported.${notes}`;
+            } else if (!totalLine) {
+                metadata += `\nTOTAL_MARKS: ${totalMarks}`;
+                notes = `\nTOTAL_MARKS set to ${totalMarks} to match the imported questions.${notes}`;
+            } else if (totalLine[1].trim() !== String(totalMarks)) {
+                metadata = metadata.replace(totalLine[0], `TOTAL_MARKS: ${totalMarks}`);
+                notes = `\nTOTAL_MARKS changed from ${totalLine[1].trim()} to ${totalMarks} to match the imported questions.${notes}`;
+            }
+        }
+
+        inputTextarea.value = `${metadata || Parser.metadataTemplate(totalMarks, known)}\n\n---\n\n${questionsText}\n`;
+
+        if (!metadata) {
+            showDiagnostics([]);
+            showMessage(
+                `✓ Imported ${count} question(s) from ${source}. Fill in the exam details at the top of the text area ` +
+                `(EXAM_ID, TITLE, CLASS, DURATION, ...), then click "Parse & Validate".${notes}`,
+                'success'
+            );
+            return;
+        }
+
+        handleParse();
+
+        // On failure handleParse has already shown what to fix
+        if (currentExamData) {
+            showMessage(`✓ Imported ${count} question(s) from ${source}. Exam ID: ${currentExamData.examId}${notes}`, 'success');
+        } else if (notes) {
+            messageDiv.textContent += `\n${notes}`;
+        }
+    }
+
     /**
      * Handle toggle preview button click
      */
@@ -192,6 +863,122 @@ const App = (function () {
         togglePreviewButton.textContent = isCollapsed ? '▼ Show Preview' : '▲ Hide Preview';
     }
 
+    /**
+     * Handle toggle question preview button click
+     */
+    function handleToggleQuestionPreview() {
+        questionPreviewDiv.classList.toggle('collapsed');
+        const isCollapsed = questionPreviewDiv.classList.contains('collapsed');
+        toggleQuestionPreviewButton.textContent = isCollapsed ? '▼ Show Preview' : '▲ Hide Preview';
+    }
+
+    /**
+     * Render questions roughly as students will see them (math, images, answers)
+     * @param {object} examData - Parsed exam
+     */
+    function renderQuestionPreview(examData) {
+        questionPreviewList.innerHTML = '';
+        const passages = examData.passages || [];
+        let lastPassageId = null;
+
+        examData.questions.forEach(q => {
+            // Show each passage once, above the first of its questions
+            if (q.passageId && q.passageId !== lastPassageId) {
+                const passage = passages.find(p => p.passageId === q.passageId);
+                if (passage) {
+                    questionPreviewList.appendChild(createPassagePreview(passage));
+                }
+            }
+            lastPassageId = q.passageId || null;
+
+            const item = document.createElement('li');
+            item.className = 'question-preview-item';
+
+            const text = document.createElement('div');
+            text.className = 'question-preview-text';
+            text.appendChild(document.createTextNode(`${q.questionNumber}. `));
+            text.appendChild(MathRender.render(q.questionText));
+            item.appendChild(text);
+
+            if (q.image) {
+                item.appendChild(createPreviewImage(q.image));
+            }
+
+            if (q.options) {
+                const correct = [].concat(q.correctAnswer);
+                const options = document.createElement('ul');
+                options.className = 'question-preview-options';
+
+                Object.keys(q.options).sort().forEach(key => {
+                    const option = document.createElement('li');
+                    if (correct.includes(key)) option.className = 'correct';
+                    option.appendChild(document.createTextNode(`${key}. `));
+                    option.appendChild(MathRender.render(q.options[key]));
+                    if (q.optionWeights && q.optionWeights[key]) {
+                        option.appendChild(document.createTextNode(` (partial credit: ${q.optionWeights[key] * 100}%)`));
+                    }
+                    if (q.optionImages && q.optionImages[key]) {
+                        option.appendChild(createPreviewImage(q.optionImages[key]));
+                    }
+                    options.appendChild(option);
+                });
+                item.appendChild(options);
+            } else {
+                const answer = document.createElement('div');
+                answer.className = 'question-preview-answer';
+                const tolerance = q.tolerance ? ` (±${q.tolerance})` : '';
+                answer.textContent = `Accepted: ${q.acceptedAnswers.join(' | ')}${tolerance}`;
+                item.appendChild(answer);
+            }
+
+            if (q.explanation) {
+                const explanation = document.createElement('div');
+                explanation.className = 'question-preview-answer';
+                explanation.appendChild(document.createTextNode('Explanation: '));
+                explanation.appendChild(MathRender.render(q.explanation));
+                item.appendChild(explanation);
+            }
+
+            questionPreviewList.appendChild(item);
+        });
+
+        questionPreviewDiv.classList.remove('hidden');
+    }
+
+    /**
+     * Create a preview block for a reading passage
+     * @param {object} passage - { passageId, title, text }
+     * @returns {HTMLLIElement}
+     */
+    function createPassagePreview(passage) {
+        const item = document.createElement('li');
+        item.className = 'question-preview-passage';
+
+        const title = document.createElement('strong');
+        title.textContent = `${passage.passageId}${passage.title ? ': ' + passage.title : ''}`;
+        item.appendChild(title);
+
+        const text = document.createElement('div');
+        text.className = 'question-preview-passage-text';
+        MathRender.renderInto(text, passage.text);
+        item.appendChild(text);
+
+        return item;
+    }
+
+    /**
+     * Create a preview image (paths in the exam are relative to /exams/)
+     * @param {object} image - { src, alt }
+     * @returns {HTMLImageElement}
+     */
+    function createPreviewImage(image) {
+        const img = document.createElement('img');
+        img.className = 'question-preview-image';
+        img.src = `../exams/${image.src}`;
+        img.alt = image.alt;
+        return img;
+    }
+
     /**
      * Show message to user
      * @param {string} text - Message text
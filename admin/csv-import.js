@@ -0,0 +1,234 @@
+/**
+ * CSV Import Module
+ * Converts a spreadsheet of questions (saved as CSV) into the exam text
+ * format, so it goes through the same parser and validation as pasted text
+ */
+
+const CsvImport = (function () {
+    'use strict';
+
+    const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+    // Question fields a column can supply, with header names recognised for each
+    const FIELDS = [
+        { key: 'question', label: 'Question', required: true, aliases: ['question', 'question text', 'questions', 'stem'] },
+        ...OPTION_KEYS.map((key, index) => ({
+            key,
+            label: `Option ${key}`,
+            aliases: [key.toLowerCase(), `option ${key.toLowerCase()}`, `option${key.toLowerCase()}`, `option ${index + 1}`, `opt ${key.toLowerCase()}`]
+        })),
+        { key: 'answer', label: 'Answer', required: true, aliases: ['answer', 'correct answer', 'correct', 'answer key', 'key'] },
+        { key: 'marks', label: 'Marks', aliases: ['marks', 'mark', 'points', 'score'] },
+        { key: 'type', label: 'Type', aliases: ['type', 'question type'] },
+        { key: 'topic', label: 'Topic', aliases: ['topic', 'sub topic', 'subtopic'] },
+        { key: 'difficulty', label: 'Difficulty', aliases: ['difficulty', 'level', 'difficulty level'] },
+        { key: 'objective', label: 'Objective', aliases: ['objective', 'learning objective', 'outcome', 'learning outcome'] },
+        { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels'] },
+        { key: 'explanation', label: 'Explanation', aliases: ['explanation', 'reason', 'feedback'] }
+    ];
+
+    const DEFAULT_MARKS = 1;
+
+    /**
+     * Split CSV text into rows of cells. Handles quoted cells (with commas,
+     * quotes and line breaks inside), a byte-order mark, and semicolon- or
+     * tab-separated files as saved by some spreadsheet locales.
+     * @param {string} text - File contents
+     * @returns {array} Array of rows, each an array of cell strings
+     */
+    function parseCsv(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const delimiter = detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error(`Row ${rows.length + 1}: A quoted cell is never closed`);
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Pick the separator that splits the header line into the most cells
+     * @param {string} text - File contents
+     * @returns {string} ',', ';' or tab
+     */
+    function detectDelimiter(text) {
+        const header = text.split(/\r?\n/)[0];
+        let best = ',';
+        [';', '\t'].forEach(candidate => {
+            if (header.split(candidate).length > header.split(best).length) {
+                best = candidate;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Match header cells to question fields by name
+     * @param {array} headers - Header row
+     * @returns {object} Field key -> column index (-1 if no column matches)
+     */
+    function guessMapping(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase().replace(/[_\-.:]+/g, ' ').replace(/\s+/g, ' '));
+        const mapping = {};
+        FIELDS.forEach(field => {
+            mapping[field.key] = normalized.findIndex(header => field.aliases.includes(header));
+        });
+        return mapping;
+    }
+
+    /**
+     * Convert data rows into question blocks in the exam text format.
+     * Each row is checked with Parser.parseQuestion, so problems are
+     * reported by spreadsheet row before the exam is validated.
+     * @param {array} rows - Parsed CSV rows, header first
+     * @param {object} mapping - Field key -> column index, from guessMapping
+     * @returns {object} { text, count, totalMarks, errors: [{ row, message }] }
+     */
+    function toQuestionText(rows, mapping) {
+        const parser = typeof Parser !== 'undefined' ? Parser : require('./parser.js');
+        const blocks = [];
+        const errors = [];
+        let totalMarks = 0;
+
+        FIELDS.filter(field => field.required && !(mapping[field.key] >= 0)).forEach(field => {
+            errors.push({ row: 1, message: `No column chosen for ${field.label}` });
+        });
+        if (errors.length > 0) {
+            return { text: '', count: 0, totalMarks: 0, errors };
+        }
+
+        rows.slice(1).forEach((cells, index) => {
+            const rowNumber = index + 2; // Spreadsheet numbering: the header is row 1
+            const value = key => (mapping[key] >= 0 ? cellText(cells[mapping[key]]) : '');
+
+            if (cells.every(cell => !cell.trim())) return;
+
+            try {
+                const block = buildBlock(value, blocks.length + 1);
+                const question = parser.parseQuestion(block);
+                blocks.push(block);
+                totalMarks += question.marks;
+            } catch (error) {
+                errors.push({ row: rowNumber, message: error.message.replace(/^Question \d+: /, '') });
+            }
+        });
+
+        if (blocks.length === 0 && errors.length === 0) {
+            errors.push({ row: 2, message: 'The file has no question rows' });
+        }
+
+        return { text: blocks.join('\n\n'), count: blocks.length, totalMarks, errors };
+    }
+
+    /**
+     * One row as a question block
+     * @param {Function} value - (fieldKey) => cell text
+     * @param {number} questionNumber - Number for the question
+     * @returns {string} Question block
+     */
+    function buildBlock(value, questionNumber) {
+        if (!value('question')) {
+            throw new Error('Question is empty');
+        }
+
+        const lines = [`${questionNumber}. ${value('question')}`];
+
+        const filled = OPTION_KEYS.filter(key => value(key));
+        const lastFilled = OPTION_KEYS.indexOf(filled[filled.length - 1]);
+        OPTION_KEYS.slice(0, lastFilled + 1).forEach(key => {
+            if (!value(key)) {
+                throw new Error(`Option ${key} is empty but a later option is filled`);
+            }
+            lines.push(`${key}. ${value(key)}`);
+        });
+
+        lines.push(`ANSWER: ${normalizeAnswer(value('answer'), filled, value)}`);
+        lines.push(`MARKS: ${value('marks') || DEFAULT_MARKS}`);
+        if (value('type')) lines.push(`TYPE: ${value('type')}`);
+        if (value('explanation')) lines.push(`EXPLANATION: ${value('explanation')}`);
+        if (value('topic')) lines.push(`TOPIC: ${value('topic')}`);
+        if (value('difficulty')) lines.push(`DIFFICULTY: ${value('difficulty')}`);
+        if (value('objective')) lines.push(`OBJECTIVE: ${value('objective')}`);
+        if (value('tags')) lines.push(`TAGS: ${value('tags')}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Accept answers as letters in any case ("b", "a, c") or, for option
+     * questions, as the text of the correct option
+     * @param {string} answer - Answer cell
+     * @param {array} optionKeys - Filled option keys
+     * @param {Function} value - (fieldKey) => cell text
+     * @returns {string} ANSWER value
+     */
+    function normalizeAnswer(answer, optionKeys, value) {
+        if (optionKeys.length === 0) return answer;
+
+        if (/^[a-f](\s*,\s*[a-f])*$/i.test(answer)) {
+            return answer.toUpperCase().replace(/\s+/g, '');
+        }
+        const byText = optionKeys.find(key => value(key).toLowerCase() === answer.toLowerCase());
+        return byText || answer;
+    }
+
+    /**
+     * Cell text on one line (the text format is line-based)
+     * @param {string} cell - Raw cell
+     * @returns {string}
+     */
+    function cellText(cell) {
+        return (cell || '').replace(/\s*[\r\n]+\s*/g, ' ').trim();
+    }
+
+    // Public API
+    return {
+        FIELDS,
+        parseCsv,
+        guessMapping,
+        toQuestionText
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvImport;
+} else if (typeof window !== 'undefined') {
+    window.CsvImport = CsvImport;
+}
@@ -0,0 +1,504 @@
+/**
+ * GIFT Format Module
+ * Reads and writes Moodle's GIFT format. Multiple choice, true/false,
+ * short answer and numerical questions map onto the exam schema;
+ * matching, essay and description items have no counterpart and are
+ * reported instead of imported.
+ *
+ *   ::Q001:: What is the capital of Nigeria? {
+ *   ~Lagos
+ *   =Abuja
+ *   ####Abuja has been the capital since 1991.
+ *   }
+ */
+
+const GiftFormat = (function () {
+    'use strict';
+
+    const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const DEFAULT_MARKS = 1;
+    const QUESTION_ID_PATTERN = /^Q\d{3}$/;
+    const FORMAT_PATTERN = /^\[(html|moodle|plain|markdown)\]\s*/i;
+    const BLANK = '_____';
+
+    /**
+     * Parse GIFT text into exam questions
+     * @param {string} text - GIFT file contents
+     * @returns {object} { questions, errors, warnings } - errors stop the
+     *   import; warnings list what was left out or changed
+     */
+    function parse(text) {
+        const questions = [];
+        const errors = [];
+        const warnings = [];
+        const lost = { titles: [], feedback: [], partial: [], negative: [], percentages: [], html: [] };
+        let topic = null;
+
+        splitItems(text).forEach(item => {
+            if (item.category !== undefined) {
+                topic = item.category;
+                return;
+            }
+
+            const questionNumber = questions.length + 1;
+            try {
+                const question = readItem(item, questionNumber, warnings, lost);
+                if (question) {
+                    if (topic) question.topic = topic;
+                    questions.push(question);
+                }
+            } catch (error) {
+                errors.push(`Line ${item.lineNumber}: ${error.message}`);
+            }
+        });
+
+        assignQuestionIds(questions);
+
+        addLossWarning(warnings, lost.titles, 'question titles (::title::)');
+        addLossWarning(warnings, lost.feedback, 'feedback on individual answers');
+        addLossWarning(warnings, lost.partial, 'answers worth part of the marks');
+        addLossWarning(warnings, lost.negative, 'negative answer percentages (use NEGATIVE_MARKING for the exam instead)');
+        addLossWarning(warnings, lost.percentages, 'per-answer percentages (scored with the exam\'s MULTI_SELECT_SCORING)');
+        addLossWarning(warnings, lost.html, 'HTML formatting (tags removed)');
+
+        if (questions.length === 0 && errors.length === 0) {
+            errors.push('No questions found');
+        }
+
+        return { questions, errors, warnings };
+    }
+
+    /**
+     * Split the file into items at blank lines, dropping // comments.
+     * $CATEGORY lines become category items; the last part of the
+     * category path is used as the topic of the questions under it.
+     * @returns {array} { text, lineNumber } or { category, lineNumber }
+     */
+    function splitItems(text) {
+        const items = [];
+        let current = null;
+
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            const lineNumber = index + 1;
+
+            if (trimmed.startsWith('//')) return;
+
+            const category = trimmed.match(/^\$CATEGORY:\s*(.*)$/i);
+            if (category) {
+                const name = category[1].split('/').map(part => part.trim()).pop();
+                items.push({ category: name && !/^(\$\w+\$|top)$/i.test(name) ? name : null, lineNumber });
+                current = null;
+            } else if (!trimmed) {
+                current = null;
+            } else if (current) {
+                current.text += `\n${trimmed}`;
+            } else {
+                current = { text: trimmed, lineNumber };
+                items.push(current);
+            }
+        });
+
+        return items;
+    }
+
+    /**
+     * One GIFT item as a question, or null if it is left out
+     */
+    function readItem(item, questionNumber, warnings, lost) {
+        let rest = item.text;
+        let questionId = null;
+        let titleLost = false;
+
+        if (rest.startsWith('::')) {
+            const end = findUnescaped(rest, '::', 2);
+            if (end < 0) {
+                throw new Error('Question title has no closing ::');
+            }
+            const title = unescape(rest.slice(2, end)).trim();
+            if (QUESTION_ID_PATTERN.test(title)) {
+                questionId = title;
+            } else if (title) {
+                titleLost = true;
+            }
+            rest = rest.slice(end + 2).trim();
+        }
+
+        const format = rest.match(FORMAT_PATTERN);
+        const html = format && format[1].toLowerCase() === 'html';
+        if (format) {
+            rest = rest.slice(format[0].length);
+        }
+
+        const open = findUnescaped(rest, '{');
+        if (open < 0) {
+            warnings.push(`Line ${item.lineNumber}: Left out a description item (text with no answers)`);
+            return null;
+        }
+        const close = findUnescaped(rest, '}', open);
+        if (close < 0) {
+            throw new Error('Answer block has no closing }');
+        }
+
+        const before = rest.slice(0, open).trim();
+        const after = rest.slice(close + 1).trim();
+        let questionText = unescape(after ? `${before} ${BLANK} ${after}` : before).trim();
+        if (html) {
+            const plain = questionText.replace(/<[^>]*>/g, '');
+            if (plain !== questionText) lost.html.push(questionNumber);
+            questionText = plain;
+        }
+        if (!questionText) {
+            throw new Error('Question text is missing');
+        }
+
+        let body = rest.slice(open + 1, close).trim();
+        let explanation = null;
+        const generalFeedback = findUnescaped(body, '####');
+        if (generalFeedback >= 0) {
+            explanation = unescape(body.slice(generalFeedback + 4)).trim() || null;
+            body = body.slice(0, generalFeedback).trim();
+        }
+
+        const label = `Line ${item.lineNumber}: Left out question "${shorten(questionText)}"`;
+        const question = { questionId, questionNumber, questionText, marks: DEFAULT_MARKS };
+        let answer;
+
+        if (!body) {
+            warnings.push(`${label}: essay questions are not supported`);
+            return null;
+        } else if (/^(T|TRUE|F|FALSE)\s*(#|$)/i.test(body)) {
+            answer = readTrueFalse(body, questionNumber, lost);
+        } else if (body.startsWith('#')) {
+            answer = readNumeric(body.slice(1).trim(), questionNumber, warnings, lost);
+        } else {
+            const answers = splitAnswers(body);
+            if (answers.some(a => findUnescaped(a.raw, '->') >= 0)) {
+                warnings.push(`${label}: matching questions are not supported`);
+                return null;
+            }
+            if (answers.some(a => a.feedback)) lost.feedback.push(questionNumber);
+
+            if (answers.every(a => a.prefix === '=')) {
+                answer = readShortAnswer(answers, questionNumber, lost);
+            } else if (answers.length > OPTION_KEYS.length) {
+                warnings.push(`${label}: it has ${answers.length} options, at most ${OPTION_KEYS.length} (A-F) are supported`);
+                return null;
+            } else {
+                answer = readChoice(answers, questionNumber, lost);
+            }
+        }
+
+        Object.assign(question, answer);
+        if (explanation) question.explanation = explanation;
+        if (titleLost) lost.titles.push(questionNumber);
+        return question;
+    }
+
+    /**
+     * Questions titled with an ID (as exported from here) keep it; the rest
+     * get the next free ID from their number
+     */
+    function assignQuestionIds(questions) {
+        const used = new Set(questions.map(q => q.questionId).filter(Boolean));
+        questions.forEach(question => {
+            if (question.questionId) return;
+            let n = question.questionNumber;
+            while (used.has(toQuestionId(n))) n++;
+            question.questionId = toQuestionId(n);
+            used.add(question.questionId);
+        });
+    }
+
+    function toQuestionId(number) {
+        return `Q${String(number).padStart(3, '0')}`;
+    }
+
+    function readTrueFalse(body, questionNumber, lost) {
+        if (findUnescaped(body, '#') >= 0) lost.feedback.push(questionNumber);
+        return {
+            options: { A: 'True', B: 'False' },
+            correctAnswer: /^T/i.test(body) ? 'A' : 'B'
+        };
+    }
+
+    /**
+     * "#3.14:0.01", "#1..5", or several "=%50%3.1:0.1" answers
+     */
+    function readNumeric(body, questionNumber, warnings, lost) {
+        const answers = findUnescaped(body, '=') >= 0 ? splitAnswers(body) : [{ prefix: '=', weight: null, text: body, feedback: null }];
+        if (answers.some(a => a.feedback)) lost.feedback.push(questionNumber);
+
+        const full = answers.filter(a => credit(a) === 100);
+        if (full.length < answers.length) lost.partial.push(questionNumber);
+        if (full.length === 0) {
+            throw new Error('Numerical question has no answer worth full marks');
+        }
+
+        const values = full.map(a => parseNumber(a.text));
+        const tolerances = [...new Set(values.map(v => v.tolerance))];
+        if (tolerances.length > 1) {
+            warnings.push(`Question ${questionNumber}: Answers have different tolerances; ±${tolerances[0]} is used for all of them`);
+        }
+
+        const result = { type: 'numeric', acceptedAnswers: values.map(v => v.value) };
+        if (tolerances[0] > 0) result.tolerance = tolerances[0];
+        return result;
+    }
+
+    /**
+     * "3.14:0.01" (value and tolerance) or "1..5" (range)
+     */
+    function parseNumber(text) {
+        const range = text.match(/^(\S+?)\.\.(\S+)$/);
+        if (range && isFinite(range[1]) && isFinite(range[2])) {
+            const min = Number(range[1]);
+            const max = Number(range[2]);
+            return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+        }
+
+        const [value, tolerance = '0'] = text.split(':').map(part => part.trim());
+        if (!value || !isFinite(value) || !isFinite(tolerance)) {
+            throw new Error(`"${text}" is not a number (expected e.g. 3.14:0.01 or 1..5)`);
+        }
+        return { value: Number(value), tolerance: Math.abs(Number(tolerance)) };
+    }
+
+    function readShortAnswer(answers, questionNumber, lost) {
+        const full = answers.filter(a => credit(a) === 100);
+        if (full.length < answers.length) lost.partial.push(questionNumber);
+        if (full.length === 0) {
+            throw new Error('Short-answer question has no answer worth full marks');
+        }
+        return { type: 'text', acceptedAnswers: full.map(a => a.text) };
+    }
+
+    function readChoice(answers, questionNumber, lost) {
+        if (answers.length < 2) {
+            throw new Error(`Expected at least 2 answers, got ${answers.length}`);
+        }
+
+        const options = {};
+        answers.forEach((a, index) => {
+            if (!a.text) {
+                throw new Error(`Answer ${index + 1} is empty`);
+            }
+            options[OPTION_KEYS[index]] = a.text;
+        });
+
+        const keysWith = test => answers.map((a, index) => (test(credit(a)) ? OPTION_KEYS[index] : null)).filter(Boolean);
+        const correct = keysWith(c => c === 100);
+        const partial = keysWith(c => c > 0 && c < 100);
+        if (keysWith(c => c < 0).length > 0) lost.negative.push(questionNumber);
+
+        if (correct.length === 1) {
+            const result = { options, correctAnswer: correct[0] };
+            if (partial.length > 0) {
+                result.optionWeights = {};
+                partial.forEach(key => {
+                    result.optionWeights[key] = credit(answers[OPTION_KEYS.indexOf(key)]) / 100;
+                });
+            }
+            return result;
+        }
+
+        if (correct.length > 1) {
+            if (partial.length > 0) lost.partial.push(questionNumber);
+            return { type: 'multiple', options, correctAnswer: correct };
+        }
+
+        // Moodle's multiple-answer style: the correct answers share 100%
+        if (partial.length > 0) {
+            lost.percentages.push(questionNumber);
+            return { type: 'multiple', options, correctAnswer: partial };
+        }
+
+        throw new Error('No correct answer (mark it with = or a positive %percent%)');
+    }
+
+    /**
+     * Split an answer block at each unescaped = or ~
+     * @returns {array} { prefix, weight, text, feedback, raw }
+     */
+    function splitAnswers(body) {
+        const answers = [];
+        let current = null;
+
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+            if (char === '\\') {
+                if (current) current.raw += body.slice(i, i + 2);
+                i++;
+            } else if (char === '=' || char === '~') {
+                current = { prefix: char, raw: '' };
+                answers.push(current);
+            } else if (current) {
+                current.raw += char;
+            } else if (char.trim()) {
+                throw new Error(`Expected an answer starting with = or ~, got "${shorten(body)}"`);
+            }
+        }
+
+        return answers.map(answer => {
+            let raw = answer.raw.trim();
+            let weight = null;
+            const percent = raw.match(/^%(-?\d+(?:\.\d+)?)%/);
+            if (percent) {
+                weight = Number(percent[1]);
+                raw = raw.slice(percent[0].length);
+            }
+
+            const hash = findUnescaped(raw, '#');
+            const feedback = hash >= 0 ? unescape(raw.slice(hash + 1)).trim() : null;
+            const text = unescape(hash >= 0 ? raw.slice(0, hash) : raw).trim();
+            return { prefix: answer.prefix, weight, text, feedback, raw: answer.raw };
+        });
+    }
+
+    /**
+     * Share of the marks an answer is worth, in percent
+     */
+    function credit(answer) {
+        if (answer.weight !== null) return answer.weight;
+        return answer.prefix === '=' ? 100 : 0;
+    }
+
+    /**
+     * Write an exam's questions as GIFT text. Everything that doesn't
+     * carry over is listed in warnings.
+     * @param {object} exam - Exam data
+     * @returns {object} { text, warnings }
+     */
+    function serialize(exam) {
+        const items = [];
+        const warnings = [];
+        const lost = { marks: [], images: [], labels: [], topic: [], scoring: [] };
+        const passages = exam.passages || [];
+        const writtenPassages = new Set();
+        let topic = null;
+
+        (exam.questions || []).forEach(question => {
+            const n = question.questionNumber;
+
+            if (question.topic && question.topic !== topic) {
+                items.push(`$CATEGORY: ${question.topic}`);
+                topic = question.topic;
+            } else if (!question.topic && topic) {
+                lost.topic.push(n);
+            }
+
+            // Moodle has no passages: the text goes in a description item before its first question
+            if (question.passageId && !writtenPassages.has(question.passageId)) {
+                const passage = passages.find(p => p.passageId === question.passageId);
+                if (passage) {
+                    const title = passage.title ? `${passage.title}\n\n` : '';
+                    items.push(`::${passage.passageId}:: ${escape(title + passage.text)}`);
+                    warnings.push(`Passage ${passage.passageId} is written as a separate description item; Moodle does not link it to its questions`);
+                }
+                writtenPassages.add(question.passageId);
+            }
+
+            const lines = [`::${question.questionId}:: ${escape(question.questionText)} {`];
+            lines.push(...answerLines(question, lost));
+            if (question.explanation) {
+                lines.push(`####${escape(question.explanation)}`);
+            }
+            lines.push('}');
+            items.push(lines.join('\n'));
+
+            if (question.marks !== DEFAULT_MARKS) lost.marks.push(n);
+            if (question.image || question.optionImages) lost.images.push(n);
+            if (question.difficulty || question.objective || question.tags) lost.labels.push(n);
+        });
+
+        addLossWarning(warnings, lost.marks, 'marks (GIFT has no marks; set the question\'s default mark in Moodle)');
+        addLossWarning(warnings, lost.images, 'images');
+        addLossWarning(warnings, lost.labels, 'difficulty, objectives and tags');
+        if (lost.topic.length > 0) {
+            warnings.push(`Question(s) ${lost.topic.join(', ')} have no topic but come after a $CATEGORY line; Moodle files them under that category`);
+        }
+        addLossWarning(warnings, lost.scoring, 'MULTI_SELECT_SCORING (Moodle gives each correct answer an equal share and -100% for wrong ones)');
+        if (exam.pools) {
+            warnings.push(`Pools not kept: ${exam.pools.map(pool => pool.poolId).join(', ')} (every question in the bank is exported)`);
+        }
+
+        return { text: items.length > 0 ? items.join('\n\n') + '\n' : '', warnings };
+    }
+
+    function answerLines(question, lost) {
+        if (!question.options) {
+            const answers = question.acceptedAnswers.map(value => escape(String(value)));
+            if (question.type === 'numeric') {
+                const tolerance = question.tolerance ? `:${question.tolerance}` : '';
+                return answers.length === 1
+                    ? [`#${answers[0]}${tolerance}`]
+                    : ['#', ...answers.map(value => `=${value}${tolerance}`)];
+            }
+            return answers.map(value => `=${value}`);
+        }
+
+        const keys = Object.keys(question.options).sort();
+        const correct = [].concat(question.correctAnswer);
+        // Images are dropped, so an image-only option falls back to its alt text
+        const optionText = key => escape(question.options[key] || question.optionImages[key].alt);
+
+        if (question.type === 'multiple') {
+            lost.scoring.push(question.questionNumber);
+            const share = Number((100 / correct.length).toFixed(5));
+            return keys.map(key => `~%${correct.includes(key) ? share : -100}%${optionText(key)}`);
+        }
+
+        const weights = question.optionWeights || {};
+        return keys.map(key => {
+            const text = optionText(key);
+            if (correct.includes(key)) return `=${text}`;
+            if (weights[key]) return `~%${Number((weights[key] * 100).toFixed(5))}%${text}`;
+            return `~${text}`;
+        });
+    }
+
+    /**
+     * Index of token in text, skipping backslash escapes; -1 if absent
+     */
+    function findUnescaped(text, token, from = 0) {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text.startsWith(token, i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function escape(text) {
+        return String(text).replace(/[~=#{}:\\]/g, '\\$&').replace(/\r?\n/g, '\\n');
+    }
+
+    function unescape(text) {
+        return text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+    }
+
+    function shorten(text) {
+        return text.length > 40 ? `${text.slice(0, 40)}...` : text;
+    }
+
+    function addLossWarning(warnings, questionNumbers, what) {
+        if (questionNumbers.length > 0) {
+            warnings.push(`Not kept for question(s) ${[...new Set(questionNumbers)].join(', ')}: ${what}`);
+        }
+    }
+
+    // Public API
+    return {
+        parse,
+        serialize
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GiftFormat;
+} else if (typeof window !== 'undefined') {
+    window.GiftFormat = GiftFormat;
+}
@@ -0,0 +1,445 @@
+/**
+ * Manifest Builder Page Controller
+ * Reads a folder of exam files, validates each one and generates
+ * exams/manifest.json from them, reporting where the current manifest
+ * has drifted from the files.
+ */
+
+const ManifestBuilder = (function () {
+    'use strict';
+
+    const MANIFEST_FILENAME = 'manifest.json';
+
+    // Manifest fields copied from the exam file (the file always wins)
+    const DERIVED_FIELDS = ['id', 'title', 'subject', 'class', 'term', 'academicYear', 'duration', 'totalMarks'];
+
+    // Schedule fields, read the same way as student/exam-schedule.js
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+    const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+    const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+    const STATUS_LABELS = {
+        ok: 'In sync',
+        updated: 'Updated from file',
+        new: 'New (not in manifest)',
+        missing: 'File missing',
+        invalid: 'Invalid exam',
+        schedule: 'Schedule error',
+        encrypted: 'Encrypted, not checked'
+    };
+
+    // DOM elements
+    let messageDiv;
+    let passcodeInput;
+    let folderInput;
+    let filesInput;
+    let downloadButton;
+    let summaryP;
+    let listBody;
+
+    // State
+    let rows = [];
+    let manifestFound = false;
+
+    /**
+     * Initialize the page
+     */
+    function init() {
+        messageDiv = document.getElementById('message');
+        passcodeInput = document.getElementById('exam-passcode');
+        folderInput = document.getElementById('folder-input');
+        filesInput = document.getElementById('files-input');
+        downloadButton = document.getElementById('download-manifest-btn');
+        summaryP = document.getElementById('manifest-summary');
+        listBody = document.getElementById('manifest-list');
+
+        folderInput.addEventListener('change', handleFilesChosen);
+        filesInput.addEventListener('change', handleFilesChosen);
+        downloadButton.addEventListener('click', handleDownload);
+
+        try {
+            if (!window.examSchema) {
+                throw new Error('Exam schema not found. Ensure schemas/exam_schema.js is loaded.');
+            }
+            Validator.init(window.ajv2020, window.examSchema);
+        } catch (error) {
+            showMessage(`Failed to load schema: ${error.message}`, 'error');
+        }
+    }
+
+    async function handleFilesChosen(event) {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        if (files.length === 0) return;
+
+        try {
+            rows = await buildRows(files);
+            render();
+
+            const problems = rows.filter(row => row.status !== 'ok').length;
+            if (!manifestFound) {
+                showMessage('No manifest.json among the chosen files; a new one will be created.', 'info');
+            } else if (problems > 0) {
+                showMessage(`The manifest is out of sync with the exam files in ${problems} place(s). Review the list below.`, 'info');
+            } else {
+                showMessage('✓ The manifest matches the exam files.', 'success');
+            }
+        } catch (error) {
+            showMessage(`Could not read the files: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Path the student page uses to fetch the file: relative to the chosen folder
+     */
+    function relativePath(file) {
+        if (file.webkitRelativePath) {
+            return file.webkitRelativePath.split('/').slice(1).join('/');
+        }
+        return file.name;
+    }
+
+    /**
+     * Read every file and match exam files with manifest entries
+     * @param {Array<File>} files - Chosen files
+     * @returns {Promise<Array>} Rows: { filename, entry, exam, status, active, errors, mismatches }
+     */
+    async function buildRows(files) {
+        let manifest = [];
+        const examFiles = [];
+
+        manifestFound = false;
+        for (const file of files) {
+            const path = relativePath(file);
+            if (!/\.json$/i.test(path)) continue;
+
+            if (path === MANIFEST_FILENAME) {
+                manifest = JSON.parse(await file.text());
+                if (!Array.isArray(manifest)) {
+                    throw new Error('manifest.json is not a list of exams.');
+                }
+                manifestFound = true;
+            } else {
+                examFiles.push({ path, file });
+            }
+        }
+
+        const byFilename = new Map(manifest.map(entry => [entry.filename, entry]));
+        const result = [];
+
+        for (const { path, file } of examFiles) {
+            const entry = byFilename.get(path) || null;
+            byFilename.delete(path);
+            const row = await checkExamFile(path, file, entry);
+            const problems = entry ? scheduleProblems(entry) : [];
+            if (problems.length > 0) {
+                row.status = 'schedule';
+                row.errors.push(...problems, 'Students can\'t start this exam until the schedule in manifest.json is fixed; download is blocked until then.');
+            }
+            result.push(row);
+        }
+
+        // Whatever is left in the manifest points at a file that isn't there
+        byFilename.forEach((entry, filename) => {
+            result.push({
+                filename,
+                entry,
+                exam: null,
+                status: 'missing',
+                active: false,
+                errors: ['Not among the chosen files; the entry will be dropped.'],
+                mismatches: []
+            });
+        });
+
+        markDuplicateIds(result);
+
+        // Current manifest order first, new exams after it by filename
+        const order = new Map(manifest.map((entry, index) => [entry.filename, index]));
+        return result.sort((a, b) => {
+            const ia = order.has(a.filename) ? order.get(a.filename) : Infinity;
+            const ib = order.has(b.filename) ? order.get(b.filename) : Infinity;
+            return ia - ib || a.filename.localeCompare(b.filename);
+        });
+    }
+
+    /**
+     * Validate one exam file and compare it with its manifest entry
+     */
+    async function checkExamFile(filename, file, entry) {
+        const row = {
+            filename,
+            entry,
+            exam: null,
+            status: 'ok',
+            active: entry ? entry.active !== false : false,
+            errors: [],
+            mismatches: []
+        };
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            row.status = 'invalid';
+            row.errors.push(`Not valid JSON: ${error.message}`);
+            return row;
+        }
+
+        if (typeof ExamCrypto !== 'undefined' && ExamCrypto.isEncryptedPackage(data)) {
+            const passcode = passcodeInput.value;
+            if (!passcode) {
+                row.status = 'encrypted';
+                row.errors.push(entry
+                    ? 'Enter the passcode to check it; the current entry is kept as it is.'
+                    : 'Enter the passcode to add it to the manifest.');
+                return row;
+            }
+            try {
+                data = (await ExamCrypto.decryptExam(data, passcode)).exam;
+            } catch (error) {
+                row.status = 'encrypted';
+                row.errors.push(`Could not decrypt: ${error.message}`);
+                return row;
+            }
+        }
+
+        const validation = Validator.validate(data, 'exam');
+        if (!validation.valid) {
+            row.status = 'invalid';
+            row.errors.push(Validator.formatErrors(validation.errors));
+            row.errors.push('Left out of the manifest until it is fixed.');
+            return row;
+        }
+
+        row.exam = data;
+        if (!entry) {
+            row.status = 'new';
+            return row;
+        }
+
+        const derived = deriveEntry(data, filename);
+        DERIVED_FIELDS.forEach(field => {
+            if (entry[field] !== derived[field]) {
+                row.mismatches.push(`${field}: manifest ${JSON.stringify(entry[field])}, file ${JSON.stringify(derived[field])}`);
+            }
+        });
+        if (row.mismatches.length > 0) {
+            row.status = 'updated';
+        }
+        return row;
+    }
+
+    /**
+     * Schedule fields the student app can't read (it keeps such exams closed)
+     * @param {object} entry - Manifest entry
+     * @returns {Array<string>} Problems
+     */
+    function scheduleProblems(entry) {
+        const problems = [];
+        ['opensAt', 'closesAt'].forEach(field => {
+            const value = entry[field];
+            if (value !== undefined && value !== null && value !== '' &&
+                !(typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime()))) {
+                problems.push(`${field} "${value}" is not a date and time like 2025-01-20T09:00`);
+            }
+        });
+        if (entry.allowedDays !== undefined) {
+            if (!Array.isArray(entry.allowedDays)) {
+                problems.push('allowedDays must be a list of days, e.g. ["Mon", "Wed"]');
+            } else {
+                entry.allowedDays.forEach(day => {
+                    const lower = String(day).trim().toLowerCase();
+                    if (!DAY_NAMES.some(name => lower === name || lower === name.slice(0, 3))) {
+                        problems.push(`allowedDays: "${day}" is not a day (use Mon, Tue, Wed, Thu, Fri, Sat or Sun)`);
+                    }
+                });
+            }
+        }
+        if (entry.allowedTimes !== undefined) {
+            const times = entry.allowedTimes || {};
+            if (!TIME_PATTERN.test(times.from) || !TIME_PATTERN.test(times.to)) {
+                problems.push('allowedTimes needs both "from" and "to" as HH:MM, e.g. { "from": "08:00", "to": "14:00" }');
+            } else if (times.from === times.to) {
+                problems.push(`allowedTimes "from" and "to" are both ${times.from}`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Two files with one examId would mix their results in the sheet
+     */
+    function markDuplicateIds(result) {
+        const seen = new Map();
+        result.forEach(row => {
+            if (!row.exam) return;
+            const first = seen.get(row.exam.examId);
+            if (first) {
+                row.errors.push(`Same examId (${row.exam.examId}) as ${first.filename}.`);
+            } else {
+                seen.set(row.exam.examId, row);
+            }
+        });
+    }
+
+    /**
+     * Manifest fields taken from an exam file
+     */
+    function deriveEntry(exam, filename) {
+        return {
+            id: exam.examId,
+            title: exam.metadata.title,
+            subject: exam.metadata.subject,
+            class: exam.metadata.class,
+            term: exam.metadata.term,
+            academicYear: exam.metadata.academicYear,
+            filename,
+            duration: exam.settings.duration,
+            totalMarks: exam.settings.totalMarks
+        };
+    }
+
+    /**
+     * The manifest entry a row produces, or null if it is left out
+     */
+    function outputEntry(row) {
+        if (row.exam) {
+            // Keep fields the file doesn't know about (schedule windows etc.)
+            return Object.assign(deriveEntry(row.exam, row.filename), { active: row.active }, extraFields(row.entry));
+        }
+        if (row.status === 'encrypted' && row.entry) {
+            return Object.assign({}, row.entry, { active: row.active });
+        }
+        return null;
+    }
+
+    function extraFields(entry) {
+        const extra = {};
+        Object.keys(entry || {}).forEach(key => {
+            if (!DERIVED_FIELDS.includes(key) && key !== 'filename' && key !== 'active') {
+                extra[key] = entry[key];
+            }
+        });
+        return extra;
+    }
+
+    /**
+     * The manifest as it will be downloaded
+     * @returns {Array<object>}
+     */
+    function buildManifest() {
+        return rows.map(outputEntry).filter(entry => entry !== null);
+    }
+
+    function render() {
+        listBody.innerHTML = '';
+
+        const manifest = buildManifest();
+        const active = manifest.filter(entry => entry.active).length;
+        const examCount = rows.filter(row => row.status !== 'missing').length;
+        const problems = rows.filter(row => row.status !== 'ok').length;
+
+        summaryP.textContent = `${examCount} exam file(s) read; the manifest will list ${manifest.length} exam(s), ${active} active` +
+            (problems > 0 ? `. ${problems} need attention.` : '.');
+
+        rows.forEach(row => listBody.appendChild(createRow(row)));
+
+        downloadButton.disabled = rows.length === 0 || rows.some(row => row.status === 'schedule');
+    }
+
+    /**
+     * Build one table row
+     */
+    function createRow(row) {
+        const tr = document.createElement('tr');
+        const shown = outputEntry(row) || row.entry || {};
+
+        // Only exams that will be in the manifest can be switched on
+        const activeTd = document.createElement('td');
+        if (outputEntry(row)) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = row.active;
+            checkbox.setAttribute('aria-label', `Active: ${row.filename}`);
+            checkbox.addEventListener('change', () => {
+                row.active = checkbox.checked;
+                render();
+            });
+            activeTd.appendChild(checkbox);
+        } else {
+            activeTd.textContent = '—';
+        }
+        tr.appendChild(activeTd);
+
+        [
+            row.filename,
+            `${shown.id || '—'}${shown.title ? ` – ${shown.title}` : ''}`,
+            shown.class || '—',
+            shown.duration !== undefined ? `${shown.duration} min / ${shown.totalMarks}` : '—'
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        // Status, with the details one click away
+        const statusTd = document.createElement('td');
+        const good = row.status === 'ok' || row.status === 'new';
+        const badge = `<span class="status-badge ${good ? 'valid' : 'invalid'}">${good ? '✓' : '✗'} ${STATUS_LABELS[row.status]}</span>`;
+        const details = row.mismatches.concat(row.errors);
+        if (details.length === 0) {
+            statusTd.innerHTML = badge;
+        } else {
+            const detailsEl = document.createElement('details');
+            detailsEl.innerHTML = `<summary>${badge}</summary>`;
+            const pre = document.createElement('pre');
+            pre.className = 'recovery-errors';
+            pre.textContent = details.join('\n');
+            detailsEl.appendChild(pre);
+            statusTd.appendChild(detailsEl);
+        }
+        tr.appendChild(statusTd);
+
+        return tr;
+    }
+
+    function handleDownload() {
+        const manifest = buildManifest();
+        downloadFile(MANIFEST_FILENAME, JSON.stringify(manifest, null, 4), 'application/json');
+        showMessage(`✓ Downloaded manifest.json with ${manifest.length} exam(s). Replace the file in /exams/ with it.`, 'success');
+    }
+
+    function downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show message to user
+     * @param {string} text - Message text
+     * @param {string} type - Message type (success, error, info)
+     */
+    function showMessage(text, type = 'info') {
+        messageDiv.textContent = text;
+        messageDiv.className = `message ${type}`;
+        messageDiv.classList.remove('hidden');
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
+
+// Initialize page when DOM is ready
+document.addEventListener('DOMContentLoaded', ManifestBuilder.init);
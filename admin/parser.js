@@ -6,32 +6,88 @@
 const Parser = (function () {
     'use strict';
 
+    // Directive lines allowed after a question's options
+    const QUESTION_DIRECTIVES = ['ANSWER', 'MARKS', 'TYPE', 'WEIGHTS', 'EXPLANATION', 'TOPIC', 'DIFFICULTY', 'OBJECTIVE', 'TAGS', 'POOL', 'ID'];
+
+    // DIFFICULTY values
+    const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+    // Image reference, Markdown style: ![alt text](path/relative/to/exams.png)
+    const IMAGE_PATTERN = /!\[([^\]]*)\]\(([^)\s]+)\)/;
+
+    // Option letters, in order: a question has 2 to 6 options (A-B for True/False)
+    const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const MIN_OPTIONS = 2;
+
+    // A typed answer that reads as a number
+    const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+    // Lenient mode: marks for a question with no MARKS line
+    const DEFAULT_MARKS = 1;
+
+    // Lenient mode: typography from Word, replaced on every line
+    const TYPOGRAPHY = [
+        { pattern: /[\u2018\u2019\u201A\u201B]/g, replacement: "'", description: 'Curly quotes straightened' },
+        { pattern: /[\u201C\u201D\u201E\u201F]/g, replacement: '"', description: 'Curly quotes straightened' },
+        { pattern: /[\u2010-\u2015\u2212]/g, replacement: '-', description: 'Dashes and minus signs changed to "-"' },
+        { pattern: /\u2026/g, replacement: '...', description: '"\u2026" changed to "..."' },
+        { pattern: /[\u00A0\u202F\t]/g, replacement: ' ', description: 'Non-breaking spaces and tabs changed to spaces' },
+        { pattern: /[\u200B-\u200D\uFEFF]/g, replacement: '', description: 'Invisible characters removed' }
+    ];
+
+    // Lenient mode: "1)", "Q1.", "Question 1:" question numbers
+    const LENIENT_QUESTION_START = /^(?:Q(?:uestion)?\s*)?(\d+)\s*[.):]\s+(.*)$/i;
+
+    // Lenient mode: "(a)", "a)", "a.", "A:" option markers, optionally starred as the answer
+    const LENIENT_OPTION = /^(\*\s*)?\(?([A-Fa-f])\s*[.):]\s+(.*)$/;
+
+    // Lenient mode: "Answer:", "Ans:", "Mark =" and the like
+    const LENIENT_DIRECTIVES = {
+        answer: 'ANSWER', ans: 'ANSWER', 'correct answer': 'ANSWER',
+        marks: 'MARKS', mark: 'MARKS', points: 'MARKS',
+        type: 'TYPE', explanation: 'EXPLANATION', topic: 'TOPIC', difficulty: 'DIFFICULTY',
+        objective: 'OBJECTIVE', tags: 'TAGS', pool: 'POOL'
+    };
+    const LENIENT_DIRECTIVE = /^(answer|ans|correct answer|marks|mark|points|type|explanation|topic|difficulty|objective|tags|pool)\s*[:=]\s*(.*)$/i;
+
     /**
      * Parse metadata section from text
      * @param {string} text - Full input text
      * @returns {object} Metadata object
      */
     function parseMetadata(text) {
+        return readMetadata(text, throwErrors);
+    }
+
+    /**
+     * Read the metadata lines, reporting each bad line and carrying on
+     * @param {string} text - Full input text
+     * @param {Function} report - (severity, message, range) for each problem
+     * @returns {object} { metadata, settings }
+     */
+    function readMetadata(text, report) {
         const metadata = {};
         const settings = {};
 
-        // Split by separator to get header section
-        const parts = text.split('---');
-        if (parts.length < 2) {
-            throw new Error('Invalid format: Missing "---" separator between metadata and questions');
+        // The header section is everything before the separator
+        const separator = text.indexOf('---');
+        if (separator === -1) {
+            report('error', 'Invalid format: Missing "---" separator between metadata and questions');
+            return { metadata, settings };
         }
 
-        const headerSection = parts[0].trim();
-        const lines = headerSection.split('\n');
+        const lines = text.slice(0, separator).split('\n');
 
         // Parse each metadata line
-        for (const line of lines) {
+        lines.forEach((line, index) => {
             const trimmed = line.trim();
-            if (!trimmed) continue;
+            if (!trimmed) return;
 
+            const range = { line: index, endLine: index };
             const colonIndex = trimmed.indexOf(':');
             if (colonIndex === -1) {
-                throw new Error(`Invalid metadata line: "${trimmed}". Expected format: KEY: value`);
+                report('error', `Invalid metadata line: "${trimmed}". Expected format: KEY: value`, range);
+                return;
             }
 
             const key = trimmed.substring(0, colonIndex).trim();
@@ -57,6 +113,9 @@ const Parser = (function () {
                 case 'ACADEMIC_YEAR':
                     metadata.academicYear = value;
                     break;
+                case 'CREATED_AT':
+                    metadata.createdAt = value;
+                    break;
                 case 'DURATION':
                     settings.duration = parseInt(value, 10);
                     break;
@@ -78,124 +137,775 @@ const Parser = (function () {
                 case 'ALLOW_REVIEW':
                     settings.allowReview = value.toLowerCase() === 'true';
                     break;
+                case 'MULTI_SELECT_SCORING':
+                    settings.multiSelectScoring = value.toLowerCase();
+                    break;
+                case 'NEGATIVE_MARKING':
+                    try {
+                        settings.negativeMarking = parseNegativeMarking(value, settings.negativeMarking);
+                    } catch (error) {
+                        report('error', error.message, range);
+                    }
+                    break;
+                case 'NEGATIVE_MARKING_FLOOR':
+                    settings.negativeMarking = settings.negativeMarking || { mode: 'none' };
+                    settings.negativeMarking.floorAtZero = value.toLowerCase() !== 'false';
+                    break;
+                case 'WEBHOOK_URL':
+                    settings.webhookUrl = value;
+                    break;
+                case 'AUTO_SUBMIT_ON_VIOLATION':
+                    settings.autoSubmitOnViolation = value.toLowerCase() === 'true';
+                    break;
+                case 'VIOLATION_THRESHOLD':
+                    settings.violationThreshold = parseInt(value, 10);
+                    break;
+                case 'STRICT_MODE':
+                    settings.strictMode = value.toLowerCase() === 'true';
+                    break;
                 case 'CREATED_BY':
                     metadata.createdBy = value;
                     break;
                 case 'INSTRUCTIONS':
                     metadata.instructions = value;
                     break;
+                case 'POOLS':
+                    try {
+                        metadata.pools = parsePools(value);
+                    } catch (error) {
+                        report('error', error.message, range);
+                    }
+                    break;
                 default:
-                    console.warn(`Unknown metadata key: ${key}`);
+                    report('warning', `Unknown metadata key: ${key}`, range);
             }
-        }
+        });
 
         return { metadata, settings };
     }
 
     /**
-     * Parse questions section from text
+     * Report function for the parse functions that stop at the first
+     * error: throws errors, logs the rest
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} message - What is wrong
+     */
+    function throwErrors(severity, message) {
+        if (severity === 'error') {
+            throw new Error(message);
+        }
+        console.warn(message);
+    }
+
+    /**
+     * Parse a NEGATIVE_MARKING value: "none", "fixed 0.5" or "fractional 0.25"
+     * @param {string} value - Metadata value
+     * @param {object} existing - Rule so far (NEGATIVE_MARKING_FLOOR may come first)
+     * @returns {object} { mode, value, floorAtZero }
+     */
+    function parseNegativeMarking(value, existing = {}) {
+        const match = value.match(/^(none|fixed|fractional)(?:\s+(\d+(?:\.\d+)?|\.\d+))?$/i);
+        if (!match) {
+            throw new Error(`Invalid NEGATIVE_MARKING: "${value}". Expected "none", "fixed 0.5" or "fractional 0.25"`);
+        }
+
+        const rule = { mode: match[1].toLowerCase() };
+        if (rule.mode !== 'none') {
+            if (match[2] === undefined) {
+                throw new Error(`NEGATIVE_MARKING ${rule.mode} needs an amount, e.g. "NEGATIVE_MARKING: ${rule.mode} ${rule.mode === 'fixed' ? '0.5' : '0.25'}"`);
+            }
+            rule.value = Number(match[2]);
+        }
+        if (existing.floorAtZero !== undefined) {
+            rule.floorAtZero = existing.floorAtZero;
+        }
+        return rule;
+    }
+
+    /**
+     * Parse a POOLS value: how many questions each student gets from each
+     * pool, e.g. "easy=10, medium=15, hard=5"
+     * @param {string} value - Metadata value
+     * @returns {array} [{ poolId, draw }]
+     */
+    function parsePools(value) {
+        return value.split(',').map(entry => {
+            const match = entry.trim().match(/^(.+?)\s*=\s*(\d+)$/);
+            if (!match) {
+                throw new Error(`Invalid POOLS entry: "${entry.trim()}". Expected pool=count, e.g. "POOLS: easy=10, medium=15, hard=5"`);
+            }
+            return { poolId: match[1], draw: parseInt(match[2], 10) };
+        });
+    }
+
+    /**
+     * Split the questions section into passages and question blocks.
+     * "PASSAGE: Title" starts a passage; its text runs until the first numbered
+     * question, and the questions that follow belong to it until END_PASSAGE
+     * or the next PASSAGE.
      * @param {string} text - Full input text
-     * @returns {array} Array of question objects
+     * @param {Function} report - (severity, message, range) for each problem;
+     *   throws on the first error if omitted
+     * @returns {object} { passages, passageRanges, blocks } where each block is
+     *   { text, passageId, line, endLine } and ranges hold 0-based line indexes
      */
-    function parseQuestions(text) {
-        const parts = text.split('---');
-        if (parts.length < 2) {
-            throw new Error('Invalid format: Missing "---" separator');
+    function splitQuestionSection(text, report = throwErrors) {
+        const separator = text.indexOf('---');
+        if (separator === -1) {
+            report('error', 'Invalid format: Missing "---" separator');
+            return { passages: [], passageRanges: [], blocks: [] };
+        }
+
+        // The section runs from the separator to the next "---", if any
+        const firstLine = text.slice(0, separator).split('\n').length - 1;
+        const lines = text.slice(separator + 3).split('---')[0].split('\n');
+        const passages = [];
+        const passageRanges = [];
+        const blocks = [];
+        let passage = null;
+        let passageLines = null; // Non-null while collecting a passage's text
+        let block = null;
+
+        function closePassage() {
+            if (!passage) return;
+            const range = passageRanges[passageRanges.length - 1];
+            if (passageLines) {
+                finishPassageText(passage, passageLines, report, range);
+                passageLines = null;
+            }
+            if (!blocks.some(b => b.passageId === passage.passageId)) {
+                report('error', `Passage "${passage.title || passage.passageId}" has no questions after it`, range);
+            }
+            passage = null;
         }
 
-        const questionsSection = parts[1].trim();
+        lines.forEach((line, index) => {
+            const lineNumber = firstLine + index;
+            const trimmed = line.trim();
+            const passageMatch = trimmed.match(/^PASSAGE:\s*(.*)$/);
+            const isQuestionStart = /^\d+\.\s/.test(trimmed);
+
+            if (passageMatch) {
+                closePassage();
+                block = null;
+                passage = { passageId: `P${String(passages.length + 1).padStart(3, '0')}` };
+                if (passageMatch[1]) {
+                    passage.title = passageMatch[1];
+                }
+                passages.push(passage);
+                passageRanges.push({ line: lineNumber, endLine: lineNumber });
+                passageLines = [];
+                return;
+            }
+
+            if (trimmed === 'END_PASSAGE') {
+                if (!passage) {
+                    report('error', 'Found END_PASSAGE without a PASSAGE before it', { line: lineNumber, endLine: lineNumber });
+                }
+                closePassage();
+                block = null;
+                return;
+            }
+
+            if (passageLines && !isQuestionStart) {
+                passageLines.push(trimmed);
+                if (trimmed) {
+                    passageRanges[passageRanges.length - 1].endLine = lineNumber;
+                }
+                return;
+            }
+
+            if (isQuestionStart) {
+                if (passageLines) {
+                    finishPassageText(passage, passageLines, report, passageRanges[passageRanges.length - 1]);
+                    passageLines = null;
+                }
+                block = { lines: [line], passageId: passage ? passage.passageId : null, line: lineNumber, endLine: lineNumber };
+                blocks.push(block);
+                return;
+            }
+
+            if (block) {
+                block.lines.push(line);
+                if (trimmed) {
+                    block.endLine = lineNumber;
+                }
+            } else if (trimmed) {
+                report('error', `Unexpected line "${trimmed}". Expected a numbered question (e.g. "1. Question text?") or PASSAGE:`, { line: lineNumber, endLine: lineNumber });
+            }
+        });
+        closePassage();
 
-        // Split by question numbers (e.g., "1.", "2.", etc.)
-        const questionBlocks = questionsSection.split(/\n(?=\d+\.\s)/);
+        return {
+            passages,
+            passageRanges,
+            blocks: blocks.map(b => ({ text: b.lines.join('\n').trim(), passageId: b.passageId, line: b.line, endLine: b.endLine }))
+        };
+    }
+
+    /**
+     * Set a passage's text from its collected lines, keeping line breaks
+     * and collapsing runs of blank lines into one paragraph break
+     * @param {object} passage - Passage being built
+     * @param {array} lines - Trimmed text lines
+     * @param {Function} report - (severity, message, range) for each problem
+     * @param {object} range - Passage's lines, for the report
+     */
+    function finishPassageText(passage, lines, report, range) {
+        const passageText = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+        if (!passageText) {
+            report('error', `Passage "${passage.title || passage.passageId}" has no text. Put the passage text between the PASSAGE line and its first question`, range);
+            return;
+        }
+        passage.text = passageText;
+    }
+
+    /**
+     * Parse reading passages from text
+     * @param {string} text - Full input text
+     * @returns {array} Array of passage objects
+     */
+    function parsePassages(text) {
+        return splitQuestionSection(text).passages;
+    }
+
+    /**
+     * Parse questions section from text
+     * @param {string} text - Full input text
+     * @returns {array} Array of question objects
+     */
+    function parseQuestions(text) {
+        const { blocks } = splitQuestionSection(text);
+        return readQuestions(blocks, (severity, message) => {
+            throwErrors(severity, severity === 'error' ? `Error parsing question: ${message}` : message);
+        }).questions;
+    }
 
+    /**
+     * Parse each question block, reporting a bad block and carrying on
+     * with the next
+     * @param {array} blocks - Blocks from splitQuestionSection
+     * @param {Function} report - (severity, message, range) for each problem
+     * @param {object} options - { lenient } (see parseQuestion)
+     * @returns {object} { questions, ranges } with each question's block lines
+     */
+    function readQuestions(blocks, report, options = {}) {
         const questions = [];
+        const ranges = [];
+        const hasId = [];
+        const usedIds = new Set();
+        let previousNumber = null;
 
-        for (const block of questionBlocks) {
-            const trimmed = block.trim();
-            if (!trimmed) continue;
+        for (const block of blocks) {
+            const warnings = [];
+            const corrections = [];
+            const number = parseInt(block.text, 10);
+            if (previousNumber !== null && number !== previousNumber + 1) {
+                warnings.push({ message: `Question ${number} comes after question ${previousNumber}. Check the numbering`, lineIndex: 0 });
+            }
+            previousNumber = number;
 
             try {
-                const question = parseQuestion(trimmed);
+                const question = parseQuestion(block.text, block.passageId, warnings, { lenient: options.lenient, corrections });
+                const idLine = block.text.split('\n').findIndex(line => /^\s*ID:/.test(line));
+                const explicit = idLine !== -1;
+                if (explicit) {
+                    if (usedIds.has(question.questionId)) {
+                        throw lineError(`Question ${question.questionNumber}: ID ${question.questionId} is used by another question`, idLine);
+                    }
+                    usedIds.add(question.questionId);
+                }
                 questions.push(question);
+                ranges.push({ line: block.line, endLine: block.endLine });
+                hasId.push(explicit);
             } catch (error) {
-                throw new Error(`Error parsing question: ${error.message}`);
+                report('error', error.message, blockRange(block, error.lineIndex));
+            }
+            warnings.forEach(warning => report('warning', warning.message, blockRange(block, warning.lineIndex)));
+            corrections.forEach(correction => report('info', correction.message, blockRange(block, correction.lineIndex)));
+        }
+
+        // Questions added to an opened exam have no ID line: give them one
+        // that no existing question uses, starting from their number
+        questions.forEach((question, index) => {
+            if (hasId[index]) return;
+            let number = question.questionNumber;
+            while (usedIds.has(toQuestionId(number))) {
+                number++;
             }
+            question.questionId = toQuestionId(number);
+            usedIds.add(question.questionId);
+        });
+
+        return { questions, ranges };
+    }
+
+    /**
+     * @param {object} block - Block from splitQuestionSection
+     * @param {number} lineIndex - Line within the block, or undefined for the whole block
+     * @returns {object} { line, endLine } in the full text
+     */
+    function blockRange(block, lineIndex) {
+        if (lineIndex === undefined) {
+            return { line: block.line, endLine: block.endLine };
         }
+        return { line: block.line + lineIndex, endLine: block.line + lineIndex };
+    }
 
-        return questions;
+    /**
+     * An error tied to one line of a question block
+     * @param {string} message - Error message
+     * @param {number} lineIndex - Line within the block (0 is the numbered line)
+     * @returns {Error} Error with a lineIndex property
+     */
+    function lineError(message, lineIndex) {
+        const error = new Error(message);
+        error.lineIndex = lineIndex;
+        return error;
+    }
+
+    /**
+     * @param {number} number - Question number
+     * @returns {string} Question ID (Q001, Q002, etc.)
+     */
+    function toQuestionId(number) {
+        return `Q${String(number).padStart(3, '0')}`;
     }
 
     /**
      * Parse individual question block
      * @param {string} block - Single question text block
-     * @returns {object} Question object
+     * @param {string} passageId - Passage the question belongs to (optional)
+     * @param {array} warnings - Collects { message, lineIndex } for problems
+     *   that don't stop the question (optional)
+     * @param {object} mode - { lenient, corrections }: lenient accepts
+     *   answers marked with "*" or given as option text, and missing or
+     *   wordy MARKS lines, adding { message, lineIndex } to corrections for
+     *   each change (line markers are rewritten first by normalizeWordText)
+     * @returns {object} Question object; errors carry the lineIndex of the
+     *   offending line within the block when there is one
      */
-    function parseQuestion(block) {
-        const lines = block.split('\n').map(l => l.trim()).filter(l => l);
+    function parseQuestion(block, passageId = null, warnings = [], mode = {}) {
+        const lenient = Boolean(mode.lenient);
+        const corrections = mode.corrections || [];
+
+        // Non-blank lines, with where each sits in the block for error positions
+        const blockLines = block.split('\n');
+        const lineIndexes = blockLines.map((line, index) => index).filter(index => blockLines[index].trim());
+        const lines = lineIndexes.map(index => blockLines[index].trim());
 
-        if (lines.length < 7) {
-            throw new Error('Question block too short. Expected: question text, 4 options, ANSWER, MARKS');
+        // Lenient mode allows a typed-answer question with no MARKS line
+        if (lines.length < (lenient ? 2 : 3)) {
+            throw new Error('Question block too short. Expected: question text, options (none for typed answers), ANSWER, MARKS');
         }
 
         // Extract question number and text
         const firstLine = lines[0];
         const match = firstLine.match(/^(\d+)\.\s+(.+)$/);
         if (!match) {
-            throw new Error(`Invalid question format: "${firstLine}". Expected: "1. Question text?"`);
+            throw lineError(`Invalid question format: "${firstLine}". Expected: "1. Question text?"`, lineIndexes[0]);
         }
 
         const questionNumber = parseInt(match[1], 10);
-        const questionText = match[2];
+        let questionText = match[2];
 
-        // Extract options
-        const options = {};
+        // Optional question image on its own line
+        let image = null;
         let optionIndex = 1;
-
-        for (const optionKey of ['A', 'B', 'C', 'D']) {
-            if (optionIndex >= lines.length) {
-                throw new Error(`Question ${questionNumber}: Missing option ${optionKey}`);
+        if (/^!\[/.test(lines[optionIndex])) {
+            const extracted = extractImage(lines[optionIndex], questionNumber, 'Question', lineIndexes[optionIndex]);
+            if (extracted.text) {
+                throw lineError(`Question ${questionNumber}: Put the question image on its own line, got "${lines[optionIndex]}"`, lineIndexes[optionIndex]);
             }
+            image = extracted.image;
+            optionIndex++;
+        }
+
+        // Extract options (typed-answer questions have none)
+        const options = {};
+        const optionImages = {};
+        const starredKeys = []; // Lenient mode: options marked as the answer with "*"
+        let starredLine;
+        const hasOptions = /^[A-F]\.\s+/.test(lines[optionIndex] || '');
 
-            const optionLine = lines[optionIndex];
-            const optionMatch = optionLine.match(/^([A-D])\.\s+(.+)$/);
+        // Options run in letter order until the first directive line
+        for (const optionKey of (hasOptions ? OPTION_KEYS : [])) {
+            const optionLine = lines[optionIndex] || '';
+            const optionMatch = optionLine.match(/^([A-F])\.\s+(.+)$/);
+            if (!optionMatch) {
+                break;
+            }
+            if (optionMatch[1] !== optionKey) {
+                throw lineError(`Question ${questionNumber}: Expected option ${optionKey}, got "${optionLine}"`, lineIndexes[optionIndex]);
+            }
 
-            if (!optionMatch || optionMatch[1] !== optionKey) {
-                throw new Error(`Question ${questionNumber}: Expected option ${optionKey}, got "${optionLine}"`);
+            let optionText = optionMatch[2];
+            const unstarred = optionText.replace(/^\*+\s*|\s*\*+$/g, '');
+            if (lenient && unstarred && unstarred !== optionText) {
+                optionText = unstarred;
+                starredKeys.push(optionKey);
+                if (starredLine === undefined) {
+                    starredLine = lineIndexes[optionIndex];
+                }
             }
 
-            options[optionKey] = optionMatch[2];
+            // An option may carry an image; an image-only option has empty text
+            const extracted = extractImage(optionText, questionNumber, `Option ${optionKey}`, lineIndexes[optionIndex]);
+            options[optionKey] = extracted.text;
+            if (extracted.image) {
+                optionImages[optionKey] = extracted.image;
+            }
             optionIndex++;
         }
 
-        // Extract answer
-        const answerLine = lines[optionIndex];
-        const answerMatch = answerLine.match(/^ANSWER:\s*([A-D])$/);
-        if (!answerMatch) {
-            throw new Error(`Question ${questionNumber}: Invalid ANSWER line. Expected "ANSWER: A/B/C/D", got "${answerLine}"`);
+        const optionKeys = Object.keys(options);
+        if (hasOptions && optionKeys.length < MIN_OPTIONS) {
+            throw new Error(`Question ${questionNumber}: Expected at least ${MIN_OPTIONS} options (e.g. "A. True" and "B. False"), got ${optionKeys.length}`);
+        }
+        if (hasOptions && /^[A-Z]\.\s+/.test(lines[optionIndex] || '')) {
+            throw lineError(optionKeys.length === OPTION_KEYS.length
+                ? `Question ${questionNumber}: At most ${OPTION_KEYS.length} options (A-F) are allowed, got "${lines[optionIndex]}"`
+                : `Question ${questionNumber}: Expected option ${OPTION_KEYS[optionKeys.length]}, got "${lines[optionIndex]}"`, lineIndexes[optionIndex]);
+        }
+
+        // Remaining lines are "KEY: value" directives (ANSWER and MARKS required)
+        const directives = {};
+        const directiveLines = {}; // Directive name -> line within the block
+        for (let i = optionIndex; i < lines.length; i++) {
+            const directiveMatch = lines[i].match(/^([A-Z_]+):\s*(.*)$/);
+            if (!directiveMatch || !QUESTION_DIRECTIVES.includes(directiveMatch[1])) {
+                throw lineError(`Question ${questionNumber}: Unexpected line "${lines[i]}". Expected ${QUESTION_DIRECTIVES.join(', ')}`, lineIndexes[i]);
+            }
+            if (directives[directiveMatch[1]] !== undefined) {
+                warnings.push({ message: `Question ${questionNumber}: ${directiveMatch[1]} is given more than once; the last one is used`, lineIndex: lineIndexes[i] });
+            }
+            directives[directiveMatch[1]] = directiveMatch[2].trim();
+            directiveLines[directiveMatch[1]] = lineIndexes[i];
+        }
+
+        if (lenient && hasOptions) {
+            const answerKeys = directives.ANSWER !== undefined ? lenientAnswerKeys(directives.ANSWER, options) : null;
+            if (answerKeys && answerKeys.join(',') !== directives.ANSWER) {
+                corrections.push({ message: `Question ${questionNumber}: ANSWER "${directives.ANSWER}" read as "${answerKeys.join(',')}"`, lineIndex: directiveLines.ANSWER });
+                directives.ANSWER = answerKeys.join(',');
+            }
+            if (directives.ANSWER === undefined && starredKeys.length > 0) {
+                directives.ANSWER = starredKeys.join(',');
+                directiveLines.ANSWER = starredLine;
+                corrections.push({ message: `Question ${questionNumber}: ANSWER ${directives.ANSWER} taken from the option marked *`, lineIndex: starredLine });
+            } else if (answerKeys && starredKeys.length > 0 && [...answerKeys].sort().join(',') !== starredKeys.join(',')) {
+                throw lineError(`Question ${questionNumber}: ANSWER ${answerKeys.join(',')} does not match the option marked * (${starredKeys.join(', ')})`, directiveLines.ANSWER);
+            }
+        }
+
+        const answer = hasOptions
+            ? parseChoiceAnswer(directives, optionKeys, questionNumber, directiveLines)
+            : parseTypedAnswer(directives, questionNumber, directiveLines);
+
+        const optionWeights = directives.WEIGHTS !== undefined
+            ? parseOptionWeights(directives.WEIGHTS, answer, optionKeys, questionNumber, directiveLines.WEIGHTS)
+            : null;
+
+        if (lenient) {
+            questionText = applyLenientMarks(directives, questionText, questionNumber, corrections, lineIndexes[0], directiveLines.MARKS);
         }
-        const correctAnswer = answerMatch[1];
 
         // Extract marks
-        const marksLine = lines[optionIndex + 1];
-        const marksMatch = marksLine.match(/^MARKS:\s*(\d+)$/);
+        const marksLine = directives.MARKS;
+        const marksMatch = marksLine !== undefined && marksLine.match(/^(\d+)$/);
         if (!marksMatch) {
-            throw new Error(`Question ${questionNumber}: Invalid MARKS line. Expected "MARKS: number", got "${marksLine}"`);
+            throw lineError(`Question ${questionNumber}: Invalid MARKS line. Expected "MARKS: number", got "${marksLine || ''}"`, directiveLines.MARKS);
         }
         const marks = parseInt(marksMatch[1], 10);
 
-        // Generate question ID (Q001, Q002, etc.)
-        const questionId = `Q${String(questionNumber).padStart(3, '0')}`;
+        // Question ID: kept from the ID line of an opened exam, otherwise from the number
+        let questionId = toQuestionId(questionNumber);
+        if (directives.ID !== undefined) {
+            if (!/^Q\d{3}$/.test(directives.ID)) {
+                throw lineError(`Question ${questionNumber}: Invalid ID "${directives.ID}". Expected e.g. "ID: Q007"`, directiveLines.ID);
+            }
+            questionId = directives.ID;
+        }
 
-        return {
+        const difficulty = directives.DIFFICULTY && directives.DIFFICULTY.toLowerCase();
+        if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+            throw lineError(`Question ${questionNumber}: Invalid DIFFICULTY "${directives.DIFFICULTY}". Expected ${DIFFICULTIES.join(', ')}`, directiveLines.DIFFICULTY);
+        }
+        const tags = [...new Set((directives.TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean))];
+
+        const question = {
             questionId,
-            questionNumber,
-            questionText,
-            options,
-            correctAnswer,
-            marks
+            questionNumber
+        };
+
+        if (passageId) {
+            question.passageId = passageId;
+        }
+        question.questionText = questionText;
+
+        if (answer.type !== 'single') {
+            question.type = answer.type;
+        }
+        if (image) {
+            question.image = image;
+        }
+        if (hasOptions) {
+            question.options = options;
+            if (Object.keys(optionImages).length > 0) {
+                question.optionImages = optionImages;
+            }
+            question.correctAnswer = answer.correctAnswer;
+            if (optionWeights) {
+                question.optionWeights = optionWeights;
+            }
+        } else {
+            question.acceptedAnswers = answer.acceptedAnswers;
+            if (answer.tolerance !== undefined) {
+                question.tolerance = answer.tolerance;
+            }
+        }
+        question.marks = marks;
+        if (directives.EXPLANATION) {
+            question.explanation = directives.EXPLANATION;
+        }
+        if (directives.TOPIC) {
+            question.topic = directives.TOPIC;
+        }
+        if (difficulty) {
+            question.difficulty = difficulty;
+        }
+        if (directives.OBJECTIVE) {
+            question.objective = directives.OBJECTIVE;
+        }
+        if (tags.length > 0) {
+            question.tags = tags;
+        }
+        if (directives.POOL) {
+            question.pool = directives.POOL;
+        }
+
+        return question;
+    }
+
+    /**
+     * Lenient mode: read an option question's ANSWER given in lower case,
+     * with brackets ("(b)"), joined with "and", or as the option's text
+     * @param {string} value - ANSWER value
+     * @param {object} options - Option key -> text
+     * @returns {array|null} Option keys, or null if the value isn't recognised
+     */
+    function lenientAnswerKeys(value, options) {
+        const parts = value.split(/\s*(?:,|&|\band\b)\s*/i).map(part => part.replace(/^\(\s*|\s*[).]$/g, ''));
+        if (parts.every(part => /^[A-F]$/i.test(part))) {
+            return parts.map(part => part.toUpperCase());
+        }
+        const byText = Object.keys(options).find(key => options[key].toLowerCase() === value.toLowerCase());
+        return byText ? [byText] : null;
+    }
+
+    /**
+     * Lenient mode: fill in MARKS from "(2 marks)" at the end of the
+     * question text, or the default mark; read "MARKS: 2 marks" as 2
+     * @param {object} directives - Directive lines keyed by name (updated)
+     * @param {string} questionText - Question text
+     * @param {number} questionNumber - For messages
+     * @param {array} corrections - Collects { message, lineIndex }
+     * @param {number} questionLine - Numbered line within the block
+     * @param {number} marksLine - MARKS line within the block, if any
+     * @returns {string} Question text, without the marks if they were taken from it
+     */
+    function applyLenientMarks(directives, questionText, questionNumber, corrections, questionLine, marksLine) {
+        const inlineMarks = questionText.match(/\s*[([]\s*(\d+)\s*(?:marks?|pts?|points?)\s*[)\]]$/i);
+
+        if (directives.MARKS === undefined && inlineMarks) {
+            directives.MARKS = inlineMarks[1];
+            corrections.push({ message: `Question ${questionNumber}: MARKS ${inlineMarks[1]} taken from "${inlineMarks[0].trim()}"`, lineIndex: questionLine });
+            return questionText.slice(0, inlineMarks.index);
+        }
+        if (directives.MARKS === undefined) {
+            directives.MARKS = String(DEFAULT_MARKS);
+            corrections.push({ message: `Question ${questionNumber}: No MARKS line, so it is worth ${DEFAULT_MARKS} mark`, lineIndex: questionLine });
+            return questionText;
+        }
+
+        const wordy = directives.MARKS.match(/^(\d+)\s*(?:marks?|pts?|points?)\.?$/i);
+        if (wordy) {
+            corrections.push({ message: `Question ${questionNumber}: MARKS "${directives.MARKS}" read as ${wordy[1]}`, lineIndex: marksLine });
+            directives.MARKS = wordy[1];
+        }
+        return questionText;
+    }
+
+    /**
+     * Pull an image reference out of a line of question/option text
+     * @param {string} text - Line text
+     * @param {number} questionNumber - For error messages
+     * @param {string} label - "Question" or "Option X", for error messages
+     * @param {number} lineIndex - Line within the block, for error positions
+     * @returns {object} { text, image } where text has the reference removed
+     */
+    function extractImage(text, questionNumber, label, lineIndex) {
+        const imageMatch = text.match(IMAGE_PATTERN);
+        if (!imageMatch) {
+            return { text, image: null };
+        }
+
+        const alt = imageMatch[1].trim();
+        if (!alt) {
+            throw lineError(`Question ${questionNumber}: ${label} image "${imageMatch[2]}" needs alt text, e.g. ![Diagram of a leaf](leaf.png)`, lineIndex);
+        }
+
+        return {
+            text: text.replace(imageMatch[0], '').trim(),
+            image: { src: imageMatch[2], alt }
+        };
+    }
+
+    /**
+     * Parse the ANSWER (and optional TYPE) of an option question
+     * @param {object} directives - Directive lines keyed by name
+     * @param {array} optionKeys - The question's option keys
+     * @param {number} questionNumber - For error messages
+     * @param {object} directiveLines - Directive name -> line within the block
+     * @returns {object} { type, correctAnswer }
+     */
+    function parseChoiceAnswer(directives, optionKeys, questionNumber, directiveLines = {}) {
+        // One key, or a comma-separated list for multiple-answer questions
+        const answerLine = directives.ANSWER;
+        const answerMatch = answerLine !== undefined && answerLine.match(/^([A-F])(\s*,\s*[A-F])*$/);
+        if (!answerMatch) {
+            throw lineError(`Question ${questionNumber}: Invalid ANSWER line. Expected "ANSWER: B" or "ANSWER: A,C", got "${answerLine || ''}"`, directiveLines.ANSWER);
+        }
+        const answerKeys = answerLine.split(',').map(k => k.trim());
+        if (new Set(answerKeys).size !== answerKeys.length) {
+            throw lineError(`Question ${questionNumber}: ANSWER lists the same option more than once`, directiveLines.ANSWER);
+        }
+        const unknownKey = answerKeys.find(key => !optionKeys.includes(key));
+        if (unknownKey) {
+            throw lineError(`Question ${questionNumber}: ANSWER ${unknownKey} is not one of the options (${optionKeys.join(', ')})`, directiveLines.ANSWER);
+        }
+
+        let type = 'single';
+        if (directives.TYPE !== undefined) {
+            type = directives.TYPE.toLowerCase();
+            if (type !== 'single' && type !== 'multiple') {
+                throw lineError(`Question ${questionNumber}: Invalid TYPE "${directives.TYPE}". Expected "single" or "multiple" for a question with options`, directiveLines.TYPE);
+            }
+        } else if (answerKeys.length > 1) {
+            type = 'multiple';
+        }
+        if (type === 'single' && answerKeys.length > 1) {
+            throw lineError(`Question ${questionNumber}: TYPE single allows only one ANSWER`, directiveLines.ANSWER);
+        }
+
+        return {
+            type,
+            correctAnswer: type === 'multiple' ? answerKeys.sort() : answerKeys[0]
         };
     }
 
+    /**
+     * Parse a WEIGHTS line giving partial credit for near-correct options,
+     * e.g. "WEIGHTS: B=0.5, C=0.25" (share of the question's marks)
+     * @param {string} value - Directive value
+     * @param {object} answer - Parsed answer ({ type, correctAnswer })
+     * @param {array} optionKeys - The question's option keys
+     * @param {number} questionNumber - For error messages
+     * @param {number} lineIndex - WEIGHTS line within the block, for error positions
+     * @returns {object} Option key -> weight
+     */
+    function parseOptionWeights(value, answer, optionKeys, questionNumber, lineIndex) {
+        if (answer.type !== 'single') {
+            throw lineError(`Question ${questionNumber}: WEIGHTS is only allowed for single-answer questions with options`, lineIndex);
+        }
+
+        const weights = {};
+        for (const part of value.split(',')) {
+            const match = part.trim().match(/^([A-F])\s*=\s*(\d*\.?\d+)$/);
+            if (!match) {
+                throw lineError(`Question ${questionNumber}: Invalid WEIGHTS entry "${part.trim()}". Expected e.g. "WEIGHTS: B=0.5, C=0.25"`, lineIndex);
+            }
+            const [, key, weight] = match;
+            if (!optionKeys.includes(key)) {
+                throw lineError(`Question ${questionNumber}: WEIGHTS option ${key} is not one of the options (${optionKeys.join(', ')})`, lineIndex);
+            }
+            if (key === answer.correctAnswer) {
+                throw lineError(`Question ${questionNumber}: WEIGHTS cannot include the correct answer ${key}`, lineIndex);
+            }
+            if (Number(weight) <= 0 || Number(weight) >= 1) {
+                throw lineError(`Question ${questionNumber}: Weight for ${key} must be between 0 and 1, got ${weight}`, lineIndex);
+            }
+            if (weights[key] !== undefined) {
+                throw lineError(`Question ${questionNumber}: WEIGHTS lists option ${key} more than once`, lineIndex);
+            }
+            weights[key] = Number(weight);
+        }
+        return weights;
+    }
+
+    /**
+     * Parse the ANSWER (and optional TYPE) of a typed-answer question.
+     * Accepted answers are separated by "|"; a numeric answer may carry a
+     * tolerance, e.g. "ANSWER: 3.14 ±0.01" or "ANSWER: 3.14 +/- 0.01".
+     * @param {object} directives - Directive lines keyed by name
+     * @param {number} questionNumber - For error messages
+     * @param {object} directiveLines - Directive name -> line within the block
+     * @returns {object} { type, acceptedAnswers, tolerance }
+     */
+    function parseTypedAnswer(directives, questionNumber, directiveLines = {}) {
+        const answerLine = directives.ANSWER;
+        if (!answerLine) {
+            throw lineError(`Question ${questionNumber}: Missing ANSWER line. Expected "ANSWER: 3.14 ±0.01" or "ANSWER: Abuja | Abuja City"`, directiveLines.ANSWER);
+        }
+
+        const tolerances = new Set();
+        const alternatives = answerLine.split('|').map(part => {
+            const toleranceMatch = part.match(/^(.*?)\s*(?:±|\+\/-)\s*(\S+)\s*$/);
+            if (toleranceMatch) {
+                tolerances.add(toleranceMatch[2]);
+                return toleranceMatch[1].trim();
+            }
+            return part.trim();
+        });
+
+        if (alternatives.some(alt => !alt)) {
+            throw lineError(`Question ${questionNumber}: ANSWER has an empty alternative in "${answerLine}"`, directiveLines.ANSWER);
+        }
+
+        let type = alternatives.every(alt => NUMBER_PATTERN.test(alt)) ? 'numeric' : 'text';
+        if (directives.TYPE !== undefined) {
+            type = directives.TYPE.toLowerCase();
+            if (type !== 'numeric' && type !== 'text') {
+                throw lineError(`Question ${questionNumber}: Invalid TYPE "${directives.TYPE}". Expected "numeric" or "text" for a question without options`, directiveLines.TYPE);
+            }
+        }
+
+        if (type === 'text') {
+            if (tolerances.size > 0) {
+                throw lineError(`Question ${questionNumber}: A tolerance (±) is only allowed for numeric answers`, directiveLines.ANSWER);
+            }
+            return { type, acceptedAnswers: alternatives };
+        }
+
+        const invalid = alternatives.find(alt => !NUMBER_PATTERN.test(alt));
+        if (invalid !== undefined) {
+            throw lineError(`Question ${questionNumber}: "${invalid}" is not a number`, directiveLines.ANSWER);
+        }
+        if (tolerances.size > 1) {
+            throw lineError(`Question ${questionNumber}: Give a single tolerance for all accepted answers`, directiveLines.ANSWER);
+        }
+
+        const result = { type, acceptedAnswers: alternatives.map(Number) };
+        if (tolerances.size === 1) {
+            const tolerance = [...tolerances][0];
+            if (!NUMBER_PATTERN.test(tolerance) || Number(tolerance) < 0) {
+                throw lineError(`Question ${questionNumber}: Invalid tolerance "${tolerance}"`, directiveLines.ANSWER);
+            }
+            result.tolerance = Number(tolerance);
+        }
+        return result;
+    }
+
     /**
      * Generate complete exam JSON from parsed components
      * @param {string} text - Full input text
@@ -209,7 +919,8 @@ const Parser = (function () {
         // Parse metadata and settings
         const { metadata, settings } = parseMetadata(text);
 
-        // Parse questions
+        // Parse passages and questions
+        const passages = parsePassages(text);
         const questions = parseQuestions(text);
 
         // Validate we have questions
@@ -217,7 +928,206 @@ const Parser = (function () {
             throw new Error('No questions found in input');
         }
 
-        // Build complete exam object
+        return buildExam(metadata, settings, passages, questions);
+    }
+
+    /**
+     * Parse the whole text, collecting every error and warning instead of
+     * stopping at the first, so a long paste can be fixed in one go.
+     * Line and column numbers start at 1; endColumn is just past the
+     * last character.
+     * @param {string} text - Full input text
+     * @param {object} options - { lenient }: accept Word-style variants
+     *   ("a)" options, "1)" numbers, answers marked with "*", missing MARKS,
+     *   curly quotes), reporting each correction as an 'info' diagnostic
+     * @returns {object} { exam, diagnostics, locations } where exam is null
+     *   if there are errors, diagnostics are
+     *   { severity, message, line, column, endLine, endColumn } in text
+     *   order, and locations gives the same range for the metadata, each
+     *   passage and each question (to place schema validation errors)
+     */
+    function parseExamWithDiagnostics(text, options = {}) {
+        let source = text || '';
+        const sourceLines = source.split('\n');
+        const diagnostics = [];
+        const report = (severity, message, range = { line: 0, endLine: 0 }) => {
+            diagnostics.push({ severity, message, ...sourceRange(sourceLines, range) });
+        };
+        const result = { exam: null, diagnostics, locations: { metadata: null, passages: [], questions: [] } };
+
+        if (!source.trim()) {
+            report('error', 'Input text is empty');
+            return result;
+        }
+        if (options.lenient) {
+            source = normalizeWordText(source, report);
+        }
+        const separator = source.indexOf('---');
+        if (separator === -1) {
+            report('error', 'Invalid format: Missing "---" separator between metadata and questions');
+            return result;
+        }
+
+        const separatorLine = source.slice(0, separator).split('\n').length - 1;
+        const { metadata, settings } = readMetadata(source, report);
+        const { passages, passageRanges, blocks } = splitQuestionSection(source, report);
+        const { questions, ranges } = readQuestions(blocks, report, { lenient: options.lenient });
+        if (blocks.length === 0) {
+            report('error', 'No questions found in input', { line: separatorLine, endLine: separatorLine });
+        }
+
+        diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+        result.locations = {
+            metadata: sourceRange(sourceLines, { line: 0, endLine: Math.max(separatorLine - 1, 0) }),
+            passages: passageRanges.map(range => sourceRange(sourceLines, range)),
+            questions: ranges.map(range => sourceRange(sourceLines, range))
+        };
+        if (!diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+            result.exam = buildExam(metadata, settings, passages, questions);
+        }
+        return result;
+    }
+
+    /**
+     * Lenient mode: rewrite Word-style variants into the strict format,
+     * line for line so positions still match the text as typed. Each kind
+     * of correction is reported once, with the lines it was made on.
+     * @param {string} text - Full input text
+     * @param {Function} report - (severity, message, range) for each correction
+     * @returns {string} Corrected text
+     */
+    function normalizeWordText(text, report) {
+        const corrections = new Map(); // Description -> line indexes
+        const note = (description, index) => {
+            const indexes = corrections.get(description) || [];
+            if (indexes[indexes.length - 1] !== index) {
+                indexes.push(index);
+            }
+            corrections.set(description, indexes);
+        };
+
+        // Only typography is changed in the metadata
+        const separator = text.indexOf('---');
+        const separatorLine = separator === -1 ? Infinity : text.slice(0, separator).split('\n').length - 1;
+        let inQuestion = false;
+
+        const lines = text.split('\n').map((line, index) => {
+            let fixed = line;
+            TYPOGRAPHY.forEach(({ pattern, replacement, description }) => {
+                const replaced = fixed.replace(pattern, replacement);
+                if (replaced !== fixed) {
+                    note(description, index);
+                    fixed = replaced;
+                }
+            });
+            if (index <= separatorLine) return fixed;
+
+            const trimmed = fixed.trim();
+            if (/^PASSAGE:/.test(trimmed) || trimmed === 'END_PASSAGE') {
+                inQuestion = false;
+                return fixed;
+            }
+
+            const questionMatch = trimmed.match(LENIENT_QUESTION_START);
+            if (questionMatch) {
+                inQuestion = true;
+                const strict = `${questionMatch[1]}. ${questionMatch[2]}`;
+                if (strict !== trimmed) {
+                    note('Question numbers such as "1)" or "Q1." read as "1."', index);
+                }
+                return strict;
+            }
+            if (!inQuestion) return fixed;
+
+            // Directives before options: "A:" is an option, "Answer:" is not
+            const directiveMatch = trimmed.match(LENIENT_DIRECTIVE);
+            if (directiveMatch) {
+                const strict = `${LENIENT_DIRECTIVES[directiveMatch[1].toLowerCase()]}: ${directiveMatch[2]}`;
+                if (strict !== trimmed) {
+                    note('Lines such as "Answer:" or "Mark =" read as "ANSWER:" and "MARKS:"', index);
+                }
+                return strict;
+            }
+
+            const optionMatch = trimmed.match(LENIENT_OPTION);
+            if (optionMatch) {
+                const key = optionMatch[2].toUpperCase();
+                if (!trimmed.replace(/^\*\s*/, '').startsWith(`${key}. `)) {
+                    note('Option letters such as "(a)", "a)" or "A:" read as "A."', index);
+                }
+                // A star before the letter marks the answer just as one after the text does
+                return `${key}. ${optionMatch[3]}${optionMatch[1] ? ' *' : ''}`;
+            }
+            return fixed;
+        });
+
+        corrections.forEach((indexes, description) => {
+            report('info', `${description}: ${describeLines(indexes)}`, { line: indexes[0], endLine: indexes[0] });
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Lenient mode: mark options that were bold in a pasted document with
+     * "*" so they are read as the answer. The plain text on the clipboard
+     * loses bold, so the caller collects the bold text from the HTML copy.
+     * @param {string} text - Pasted plain text
+     * @param {Set} boldTexts - Text of each bold run, whitespace collapsed
+     * @returns {string} Text with bold options marked
+     */
+    function markBoldAnswers(text, boldTexts) {
+        return text.split(/\r?\n/).map(line => {
+            const optionMatch = line.trim().match(LENIENT_OPTION);
+            if (!optionMatch || optionMatch[1] || /\*\s*$/.test(line)) return line;
+            return boldTexts.has(optionMatch[3].replace(/\s+/g, ' ').trim()) ? `${line.trimEnd()} *` : line;
+        }).join('\n');
+    }
+
+    /**
+     * @param {array} indexes - Ascending 0-based line indexes
+     * @returns {string} e.g. "lines 4, 9-12, 20"
+     */
+    function describeLines(indexes) {
+        const runs = [];
+        indexes.forEach(index => {
+            const run = runs[runs.length - 1];
+            if (run && run[1] === index) {
+                run[1] = index + 1;
+            } else {
+                runs.push([index + 1, index + 1]);
+            }
+        });
+        const shown = runs.slice(0, 10).map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`));
+        return `line${indexes.length > 1 ? 's' : ''} ${shown.join(', ')}${runs.length > 10 ? ', ...' : ''}`;
+    }
+
+    /**
+     * Line/column range covering whole lines, from the first non-blank
+     * character of the first line to the end of the last line's text
+     * @param {array} sourceLines - Input text split into lines
+     * @param {object} range - { line, endLine } as 0-based indexes
+     * @returns {object} { line, column, endLine, endColumn }, 1-based
+     */
+    function sourceRange(sourceLines, range) {
+        const first = sourceLines[range.line] || '';
+        const last = sourceLines[range.endLine] || '';
+        return {
+            line: range.line + 1,
+            column: first.length - first.trimStart().length + 1,
+            endLine: range.endLine + 1,
+            endColumn: last.trimEnd().length + 1
+        };
+    }
+
+    /**
+     * Put parsed metadata, settings, passages and questions together as exam JSON
+     * @param {object} metadata - From parseMetadata
+     * @param {object} settings - From parseMetadata
+     * @param {array} passages - Passage objects
+     * @param {array} questions - Question objects
+     * @returns {object} Complete exam JSON
+     */
+    function buildExam(metadata, settings, passages, questions) {
         const exam = {
             examId: metadata.examId,
             version: '1.0.0',
@@ -227,7 +1137,7 @@ const Parser = (function () {
                 class: metadata.class,
                 term: metadata.term,
                 academicYear: metadata.academicYear,
-                createdAt: new Date().toISOString()
+                createdAt: metadata.createdAt || new Date().toISOString()
             },
             settings: {
                 duration: settings.duration,
@@ -236,9 +1146,20 @@ const Parser = (function () {
                 shuffleQuestions: settings.shuffleQuestions,
                 shuffleOptions: settings.shuffleOptions
             },
+            ...(passages.length > 0 ? { passages } : {}),
             questions
         };
 
+        // A question with no POOL line goes in the pool named after its
+        // topic, so "N per topic" needs only the POOLS line
+        if (metadata.pools) {
+            const poolIds = metadata.pools.map(pool => pool.poolId);
+            exam.pools = metadata.pools;
+            exam.questions = questions.map(question => (
+                !question.pool && poolIds.includes(question.topic) ? { ...question, pool: question.topic } : question
+            ));
+        }
+
         // Add optional fields if present
         if (metadata.createdBy) {
             exam.metadata.createdBy = metadata.createdBy;
@@ -252,16 +1173,256 @@ const Parser = (function () {
         if (settings.allowReview !== undefined) {
             exam.settings.allowReview = settings.allowReview;
         }
+        if (settings.multiSelectScoring !== undefined) {
+            exam.settings.multiSelectScoring = settings.multiSelectScoring;
+        }
+        if (settings.negativeMarking !== undefined) {
+            exam.settings.negativeMarking = settings.negativeMarking;
+        }
+        if (settings.webhookUrl !== undefined) {
+            exam.settings.webhookUrl = settings.webhookUrl;
+        }
+        if (settings.autoSubmitOnViolation !== undefined) {
+            exam.settings.autoSubmitOnViolation = settings.autoSubmitOnViolation;
+        }
+        if (settings.violationThreshold !== undefined) {
+            exam.settings.violationThreshold = settings.violationThreshold;
+        }
+        if (settings.strictMode !== undefined) {
+            exam.settings.strictMode = settings.strictMode;
+        }
 
         return exam;
     }
 
+    /**
+     * Turn exam JSON back into the text format, for editing an exam
+     * that has already been downloaded. parseExam on the result gives the
+     * same exam back; each question gets an ID line so its ID survives
+     * renumbering and earlier results still line up.
+     * @param {object} exam - Exam data
+     * @returns {string} Exam text (metadata + questions)
+     */
+    function serializeExam(exam) {
+        if (!exam || !Array.isArray(exam.questions)) {
+            throw new Error('Not an exam file: no questions found');
+        }
+
+        const lines = serializeMetadata(exam);
+        lines.push('', '---', '', serializeQuestions(exam.questions, exam.passages));
+
+        return lines.join('\n').trim() + '\n';
+    }
+
+    /**
+     * The questions section of the text format (everything after ---),
+     * with PASSAGE blocks around passage questions
+     * @param {array} questions - Question objects
+     * @param {array} passages - Passages the questions refer to
+     * @returns {string} Questions text
+     */
+    function serializeQuestions(questions, passages = []) {
+        const lines = [];
+        const writtenPassages = new Set();
+        let currentPassageId = null;
+
+        for (const question of questions) {
+            const passageId = question.passageId || null;
+            if (passageId !== currentPassageId) {
+                if (passageId) {
+                    const passage = passages.find(p => p.passageId === passageId);
+                    if (!passage) {
+                        throw new Error(`Question ${question.questionNumber}: Passage ${passageId} not found`);
+                    }
+                    if (writtenPassages.has(passageId)) {
+                        throw new Error(`The questions on passage ${passageId} must come one after another to be edited as text`);
+                    }
+                    writtenPassages.add(passageId);
+                    lines.push(passage.title ? `PASSAGE: ${singleLine(passage.title)}` : 'PASSAGE:', passage.text, '');
+                } else {
+                    lines.push('END_PASSAGE', '');
+                }
+                currentPassageId = passageId;
+            }
+
+            lines.push(...serializeQuestion(question), '');
+        }
+
+        return lines.join('\n').trim();
+    }
+
+    /**
+     * Metadata lines to fill in, for questions brought in from another
+     * format without an exam around them
+     * @param {number} totalMarks - Sum of the questions' marks
+     * @param {object} known - Details already known: { examId, title, duration }
+     * @returns {string} Metadata section (before the --- separator)
+     */
+    function metadataTemplate(totalMarks, known = {}) {
+        return [
+            `EXAM_ID: ${known.examId || ''}`,
+            `TITLE: ${known.title || ''}`,
+            'SUBJECT: ',
+            'CLASS: ',
+            'TERM: First Term',
+            'ACADEMIC_YEAR: ',
+            `DURATION: ${known.duration || ''}`,
+            `TOTAL_MARKS: ${totalMarks}`,
+            'PASS_MARK: ',
+            'SHUFFLE_QUESTIONS: true',
+            'SHUFFLE_OPTIONS: true'
+        ].join('\n');
+    }
+
+    /**
+     * Metadata lines in the form parseMetadata reads
+     * @param {object} exam - Exam data
+     * @returns {array} Lines
+     */
+    function serializeMetadata(exam) {
+        const metadata = exam.metadata || {};
+        const settings = exam.settings || {};
+        const negativeMarking = settings.negativeMarking;
+        const lines = [];
+
+        const add = (key, value) => {
+            if (value !== undefined) {
+                lines.push(`${key}: ${singleLine(value)}`);
+            }
+        };
+
+        add('EXAM_ID', exam.examId);
+        add('TITLE', metadata.title);
+        add('SUBJECT', metadata.subject);
+        add('CLASS', metadata.class);
+        add('TERM', metadata.term);
+        add('ACADEMIC_YEAR', metadata.academicYear);
+        add('CREATED_AT', metadata.createdAt);
+        add('DURATION', settings.duration);
+        add('TOTAL_MARKS', settings.totalMarks);
+        add('PASS_MARK', settings.passMark);
+        add('SHUFFLE_QUESTIONS', settings.shuffleQuestions);
+        add('SHUFFLE_OPTIONS', settings.shuffleOptions);
+        add('SHOW_RESULTS', settings.showResults);
+        add('ALLOW_REVIEW', settings.allowReview);
+        add('MULTI_SELECT_SCORING', settings.multiSelectScoring);
+        if (negativeMarking) {
+            add('NEGATIVE_MARKING', negativeMarking.mode === 'none' ? 'none' : `${negativeMarking.mode} ${negativeMarking.value}`);
+            add('NEGATIVE_MARKING_FLOOR', negativeMarking.floorAtZero);
+        }
+        add('WEBHOOK_URL', settings.webhookUrl);
+        add('AUTO_SUBMIT_ON_VIOLATION', settings.autoSubmitOnViolation);
+        add('VIOLATION_THRESHOLD', settings.violationThreshold);
+        add('STRICT_MODE', settings.strictMode);
+        add('CREATED_BY', metadata.createdBy);
+        add('INSTRUCTIONS', metadata.instructions);
+        if (exam.pools) {
+            add('POOLS', exam.pools.map(pool => `${pool.poolId}=${pool.draw}`).join(', '));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Question lines in the form parseQuestion reads
+     * @param {object} question - Question object
+     * @returns {array} Lines
+     */
+    function serializeQuestion(question) {
+        const lines = [`${question.questionNumber}. ${singleLine(question.questionText)}`];
+
+        if (question.image) {
+            lines.push(imageReference(question.image));
+        }
+
+        if (question.options) {
+            Object.keys(question.options).sort().forEach(key => {
+                const text = singleLine(question.options[key]);
+                const image = question.optionImages && question.optionImages[key];
+                if (!image) {
+                    lines.push(`${key}. ${text}`);
+                } else if (!text) {
+                    lines.push(`${key}. ${imageReference(image)}`);
+                } else {
+                    lines.push(`${key}. ${text} ${imageReference(image)}`);
+                }
+            });
+
+            const answerKeys = [].concat(question.correctAnswer);
+            lines.push(`ANSWER: ${answerKeys.join(',')}`);
+            if (question.type === 'multiple' && answerKeys.length === 1) {
+                lines.push('TYPE: multiple');
+            }
+            if (question.optionWeights) {
+                const weights = Object.keys(question.optionWeights).sort()
+                    .map(key => `${key}=${question.optionWeights[key]}`);
+                lines.push(`WEIGHTS: ${weights.join(', ')}`);
+            }
+        } else {
+            const answers = question.acceptedAnswers.map(String);
+            const tolerance = question.tolerance !== undefined ? ` ±${question.tolerance}` : '';
+            lines.push(`ANSWER: ${answers.join(' | ')}${tolerance}`);
+
+            // TYPE is only needed when the answers alone would suggest the other type
+            const inferredType = answers.every(answer => NUMBER_PATTERN.test(answer)) ? 'numeric' : 'text';
+            if (question.type !== inferredType) {
+                lines.push(`TYPE: ${question.type}`);
+            }
+        }
+
+        lines.push(`MARKS: ${question.marks}`);
+        if (question.explanation) {
+            lines.push(`EXPLANATION: ${singleLine(question.explanation)}`);
+        }
+        if (question.topic) {
+            lines.push(`TOPIC: ${singleLine(question.topic)}`);
+        }
+        if (question.difficulty) {
+            lines.push(`DIFFICULTY: ${question.difficulty}`);
+        }
+        if (question.objective) {
+            lines.push(`OBJECTIVE: ${singleLine(question.objective)}`);
+        }
+        if (question.tags) {
+            lines.push(`TAGS: ${question.tags.map(singleLine).join(', ')}`);
+        }
+        if (question.pool) {
+            lines.push(`POOL: ${question.pool}`);
+        }
+        lines.push(`ID: ${question.questionId}`);
+
+        return lines;
+    }
+
+    /**
+     * @param {object} image - { src, alt }
+     * @returns {string} Markdown-style image reference
+     */
+    function imageReference(image) {
+        return `![${image.alt}](${image.src})`;
+    }
+
+    /**
+     * The text format is line-based: fold any line breaks into spaces
+     * @param {*} value - Field value
+     * @returns {string}
+     */
+    function singleLine(value) {
+        return String(value).replace(/\s*\n\s*/g, ' ');
+    }
+
     // Public API
     return {
         parseExam,
+        parseExamWithDiagnostics,
+        markBoldAnswers,
         parseMetadata,
+        parsePassages,
         parseQuestions,
-        parseQuestion
+        parseQuestion,
+        serializeExam,
+        serializeQuestions,
+        metadataTemplate
     };
 })();
 
@@ -0,0 +1,758 @@
+/**
+ * QTI Format Module
+ * Converts exams to and from IMS QTI 2.1 content packages: an
+ * imsmanifest.xml, an assessmentTest and one assessmentItem per question.
+ * Choice and text-entry interactions map onto the exam schema; items
+ * using any other interaction are listed in the import report.
+ */
+
+const QtiFormat = (function () {
+    'use strict';
+
+    const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+    const QTI_XSD = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+    const CP_NS = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+    const CP_XSD = 'http://www.imsglobal.org/xsd/imscp_v1p1.xsd';
+    const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+    const ITEM_FOLDER = 'items';
+    const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const QUESTION_ID_PATTERN = /^Q\d{3}$/;
+    const EXAM_ID_PATTERN = /^[A-Z]{2,4}-[0-9]{4}-[0-9]{3}$/;
+    const MAX_MARKS = 10;
+    const EXPLANATION_ID = 'EXPLANATION';
+
+    const BLOCK_ELEMENTS = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'br', 'prompt', 'simpleChoice', 'blockquote', 'table', 'tr', 'td'];
+
+    // ===== Export =====
+
+    /**
+     * Build the files of a QTI 2.1 package for an exam
+     * @param {object} exam - Exam data (valid against the exam schema)
+     * @returns {object} { files: [{ name, data }], images: [src], warnings }
+     *   images are the paths (relative to /exams/) the items refer to; the
+     *   package expects them at the same path inside the zip
+     */
+    function exportPackage(exam) {
+        const settings = exam.settings || {};
+        const passages = exam.passages || [];
+        const images = new Set();
+        const testFile = `${exam.examId}.xml`;
+
+        const items = exam.questions.map(question => {
+            const passage = question.passageId ? passages.find(p => p.passageId === question.passageId) : null;
+            const itemImages = imagesOf(question);
+            itemImages.forEach(src => images.add(src));
+            return {
+                identifier: question.questionId,
+                href: `${ITEM_FOLDER}/${question.questionId}.xml`,
+                images: itemImages,
+                xml: itemXml(question, passage, settings)
+            };
+        });
+
+        const files = [
+            { name: 'imsmanifest.xml', data: manifestXml(exam, testFile, items) },
+            { name: testFile, data: testXml(exam, items) },
+            ...items.map(item => ({ name: item.href, data: item.xml }))
+        ];
+
+        return { files, images: [...images], warnings: exportWarnings(exam) };
+    }
+
+    function imagesOf(question) {
+        const images = question.image ? [question.image.src] : [];
+        Object.values(question.optionImages || {}).forEach(image => images.push(image.src));
+        return [...new Set(images)];
+    }
+
+    /**
+     * Exam settings a QTI package has nowhere to keep
+     */
+    function exportWarnings(exam) {
+        const settings = exam.settings || {};
+        const missing = ['class, subject, term and academic year', 'pass mark'];
+        if (settings.negativeMarking && settings.negativeMarking.mode !== 'none') missing.push('negative marking');
+        if (settings.showResults !== undefined || settings.allowReview !== undefined) missing.push('results and review options');
+        if (settings.webhookUrl) missing.push('results webhook');
+        if (exam.questions.some(q => q.difficulty || q.objective || q.tags)) missing.push('question difficulty, objectives and tags');
+        if (exam.pools) missing.push('question pools (every question in the bank is in the test)');
+        if (settings.autoSubmitOnViolation !== undefined || settings.violationThreshold !== undefined || settings.strictMode !== undefined) {
+            missing.push('exam integrity settings');
+        }
+
+        const warnings = [`Not in the package (no QTI equivalent): ${missing.join(', ')}`];
+        if ((exam.passages || []).length > 0) {
+            warnings.push('QTI 2.1 has no shared passages: each passage is copied into the items that use it');
+        }
+        return warnings;
+    }
+
+    function manifestXml(exam, testFile, items) {
+        const itemResources = items.map(item => `
+    <resource identifier="ITEM-${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>${item.images.map(src => `\n      <file href="${escapeXml(src)}"/>`).join('')}
+    </resource>`).join('');
+        const dependencies = items.map(item => `\n      <dependency identifierref="ITEM-${item.identifier}"/>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CP_NS}" xmlns:xsi="${XSI_NS}" xsi:schemaLocation="${CP_NS} ${CP_XSD}" identifier="MANIFEST-${exam.examId}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="TEST-${exam.examId}" type="imsqti_test_xmlv2p1" href="${testFile}">
+      <file href="${testFile}"/>${dependencies}
+    </resource>${itemResources}
+  </resources>
+</manifest>
+`;
+    }
+
+    function testXml(exam, items) {
+        const settings = exam.settings || {};
+        const refs = items.map(item => `\n        <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NS}" xmlns:xsi="${XSI_NS}" xsi:schemaLocation="${QTI_NS} ${QTI_XSD}" identifier="${exam.examId}" title="${escapeXml(exam.metadata.title)}">
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <timeLimits maxTime="${settings.duration * 60}"/>
+  <testPart identifier="PART1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="SECTION1" title="${escapeXml(exam.metadata.title)}" visible="true">
+      <ordering shuffle="${settings.shuffleQuestions === true}"/>${refs}
+    </assessmentSection>
+  </testPart>
+  <outcomeProcessing>
+    <setOutcomeValue identifier="SCORE">
+      <sum>
+        <testVariables variableIdentifier="SCORE"/>
+      </sum>
+    </setOutcomeValue>
+  </outcomeProcessing>
+</assessmentTest>
+`;
+    }
+
+    /**
+     * One assessmentItem. Marks are kept as MAXSCORE; scoring (partial
+     * credit, multi-select rule, tolerance) is written out as response
+     * processing so other platforms mark the item the way this one does.
+     */
+    function itemXml(question, passage, settings) {
+        const typed = !question.options;
+        const declaration = typed ? typedDeclaration(question) : choiceDeclaration(question, settings);
+        const processing = typed && question.type === 'numeric' ? numericProcessing(question) : declaration.processing;
+        const hasExplanation = !!question.explanation;
+
+        const label = question.topic ? ` label="${escapeXml(question.topic)}"` : '';
+        const body = [];
+        if (passage) {
+            body.push(passageXml(passage));
+        }
+        body.push(...paragraphs(question.questionText));
+        if (question.image) {
+            body.push(`<p>${imageXml(question.image)}</p>`);
+        }
+        body.push(typed ? textEntryXml(question) : choiceXml(question, settings));
+
+        const feedbackRule = hasExplanation ? `
+    <setOutcomeValue identifier="FEEDBACK">
+      <baseValue baseType="identifier">${EXPLANATION_ID}</baseValue>
+    </setOutcomeValue>` : '';
+        const feedbackOutcome = hasExplanation ? '\n  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>' : '';
+        const modalFeedback = hasExplanation
+            ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="${EXPLANATION_ID}" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`
+            : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="${XSI_NS}" xsi:schemaLocation="${QTI_NS} ${QTI_XSD}" identifier="${question.questionId}" title="Question ${question.questionNumber}"${label} adaptive="false" timeDependent="false">
+  ${declaration.xml}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>${question.marks}</value>
+    </defaultValue>
+  </outcomeDeclaration>${feedbackOutcome}
+  <itemBody>
+    ${body.join('\n    ')}
+  </itemBody>
+  <responseProcessing>
+    ${processing}${feedbackRule}
+  </responseProcessing>${modalFeedback}
+</assessmentItem>
+`;
+    }
+
+    function choiceDeclaration(question, settings) {
+        const multiple = question.type === 'multiple';
+        const correct = [].concat(question.correctAnswer);
+        const keys = Object.keys(question.options).sort();
+        const marks = question.marks;
+        const values = correct.map(key => `<value>${key}</value>`).join('');
+        const entries = {};
+
+        if (!multiple) {
+            entries[correct[0]] = marks;
+            Object.entries(question.optionWeights || {}).forEach(([key, weight]) => {
+                entries[key] = marks * weight;
+            });
+        } else if (settings.multiSelectScoring === 'proportional' || settings.multiSelectScoring === 'penalised') {
+            // Proportional: any wrong pick zeroes the question; penalised: each wrong pick cancels a correct one
+            const share = marks / correct.length;
+            const penalty = settings.multiSelectScoring === 'proportional' ? -marks : -share;
+            keys.forEach(key => {
+                entries[key] = correct.includes(key) ? share : penalty;
+            });
+        }
+
+        const mapped = Object.keys(entries).length > 0;
+        const mapping = mapped
+            ? `\n    <mapping lowerBound="0" upperBound="${marks}" defaultValue="0">` +
+              Object.keys(entries).sort().map(key => `\n      <mapEntry mapKey="${key}" mappedValue="${number(entries[key])}" caseSensitive="true"/>`).join('') +
+              '\n    </mapping>'
+            : '';
+
+        return {
+            xml: `<responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>${values}</correctResponse>${mapping}
+  </responseDeclaration>`,
+            processing: mapped ? mapResponseProcessing() : matchCorrectProcessing()
+        };
+    }
+
+    function typedDeclaration(question) {
+        const numeric = question.type === 'numeric';
+        const answers = question.acceptedAnswers.map(String);
+        const mapping = numeric ? '' : `\n    <mapping defaultValue="0">` +
+            answers.map(answer => `\n      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="${question.marks}" caseSensitive="false"/>`).join('') +
+            '\n    </mapping>';
+
+        return {
+            xml: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="${numeric ? 'float' : 'string'}">
+    <correctResponse><value>${escapeXml(answers[0])}</value></correctResponse>${mapping}
+  </responseDeclaration>`,
+            processing: mapResponseProcessing()
+        };
+    }
+
+    function mapResponseProcessing() {
+        return `<responseCondition>
+      <responseIf>
+        <isNull><variable identifier="RESPONSE"/></isNull>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>
+      </responseElse>
+    </responseCondition>`;
+    }
+
+    function matchCorrectProcessing() {
+        return `<responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>
+    </responseCondition>`;
+    }
+
+    function numericProcessing(question) {
+        const tolerance = question.tolerance
+            ? `toleranceMode="absolute" tolerance="${question.tolerance}"`
+            : 'toleranceMode="exact"';
+        const tests = question.acceptedAnswers.map(answer =>
+            `\n          <equal ${tolerance}><variable identifier="RESPONSE"/><baseValue baseType="float">${answer}</baseValue></equal>`).join('');
+
+        return `<responseCondition>
+      <responseIf>
+        <or>${tests}
+        </or>
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>
+    </responseCondition>`;
+    }
+
+    function choiceXml(question, settings) {
+        const maxChoices = question.type === 'multiple' ? 0 : 1;
+        const choices = Object.keys(question.options).sort().map(key => {
+            const image = question.optionImages && question.optionImages[key];
+            const text = question.options[key];
+            const content = image ? (text ? `${escapeXml(text)} ${imageXml(image)}` : imageXml(image)) : escapeXml(text);
+            return `\n      <simpleChoice identifier="${key}">${content}</simpleChoice>`;
+        }).join('');
+
+        return `<choiceInteraction responseIdentifier="RESPONSE" shuffle="${settings.shuffleOptions === true}" maxChoices="${maxChoices}">${choices}
+    </choiceInteraction>`;
+    }
+
+    function textEntryXml(question) {
+        const longest = Math.max(...question.acceptedAnswers.map(answer => String(answer).length));
+        return `<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(longest, 10)}"/></p>`;
+    }
+
+    function passageXml(passage) {
+        const title = passage.title ? `<h3>${escapeXml(passage.title)}</h3>` : '';
+        return `<div class="passage">${title}${paragraphs(passage.text).join('')}</div>`;
+    }
+
+    function paragraphs(text) {
+        return text.split(/\n\s*\n/).map(para => `<p>${escapeXml(para.trim()).replace(/\n/g, '<br/>')}</p>`);
+    }
+
+    /**
+     * Item files sit in items/, image paths are relative to the package root
+     */
+    function imageXml(image) {
+        return `<img src="../${escapeXml(image.src)}" alt="${escapeXml(image.alt)}"/>`;
+    }
+
+    function number(value) {
+        return String(Number(value.toFixed(5)));
+    }
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ===== Import =====
+
+    /**
+     * Read the questions of a QTI 2.1 package
+     * @param {Array<{name: string, data: Uint8Array}>} files - Files from the zip
+     * @returns {object} { questions, passages, metadata: { examId, title, duration },
+     *   errors, warnings } - errors stop the import; warnings list the items
+     *   left out and anything changed on the way in
+     */
+    function parsePackage(files) {
+        const decoder = new TextDecoder();
+        const byName = new Map(files.map(file => [file.name, file]));
+        const read = path => (byName.has(path) ? decoder.decode(byName.get(path).data) : null);
+        const result = { questions: [], passages: [], metadata: {}, errors: [], warnings: [] };
+
+        const manifestFile = files.find(file => /(^|\/)imsmanifest\.xml$/i.test(file.name));
+        if (!manifestFile) {
+            result.errors.push('No imsmanifest.xml found: this is not a QTI content package');
+            return result;
+        }
+
+        let itemPaths;
+        try {
+            const root = folderOf(manifestFile.name);
+            const manifest = parseXml(read(manifestFile.name), manifestFile.name);
+            const resources = findAll(manifest, 'resource');
+            const ofType = prefix => resources.filter(r => (r.getAttribute('type') || '').startsWith(prefix));
+
+            const itemResources = ofType('imsqti_item_xmlv2p');
+            if (itemResources.length === 0) {
+                result.errors.push(ofType('imsqti_xmlv1p').length > 0
+                    ? 'This is a QTI 1.2 package; export the questions as QTI 2.1 instead'
+                    : 'The package lists no QTI 2.1 items');
+                return result;
+            }
+            itemPaths = itemResources.map(r => resolvePath(root, r.getAttribute('href')));
+
+            // The test gives the title, time limit and question order
+            const testResource = ofType('imsqti_test_xmlv2p')[0];
+            if (testResource) {
+                const testPath = resolvePath(root, testResource.getAttribute('href'));
+                const testText = read(testPath);
+                if (testText === null) {
+                    result.errors.push(`${testPath} is listed in the manifest but missing from the package`);
+                    return result;
+                }
+                const test = parseXml(testText, testPath);
+                const refs = findAll(test, 'assessmentItemRef').map(ref => resolvePath(folderOf(testPath), ref.getAttribute('href')));
+                if (refs.length > 0) itemPaths = refs;
+                result.metadata = readTestMetadata(test);
+            }
+        } catch (error) {
+            result.errors.push(error.message);
+            return result;
+        }
+
+        const passageIds = new Map();
+        const lost = { feedback: [], partial: [], marks: [], tolerance: [] };
+
+        itemPaths.forEach(path => {
+            const text = read(path);
+            if (text === null) {
+                result.errors.push(`${path} is listed in the package but missing from it`);
+                return;
+            }
+            try {
+                const item = parseXml(text, path);
+                const question = readItem(item, path, result.questions.length + 1, result, passageIds, lost);
+                if (question) result.questions.push(question);
+            } catch (error) {
+                result.errors.push(`${path}: ${error.message}`);
+            }
+        });
+
+        assignQuestionIds(result.questions);
+
+        addLossWarning(result.warnings, lost.feedback, 'feedback other than the explanation');
+        addLossWarning(result.warnings, lost.partial, 'answers worth part of the marks');
+        addLossWarning(result.warnings, lost.tolerance, 'relative tolerances');
+        addLossWarning(result.warnings, lost.marks, `marks outside whole numbers from 1 to ${MAX_MARKS} (rounded)`);
+
+        if (result.questions.length === 0 && result.errors.length === 0) {
+            result.errors.push('No questions could be imported');
+        }
+        return result;
+    }
+
+    function readTestMetadata(test) {
+        const root = test.documentElement;
+        const metadata = {};
+        const identifier = root.getAttribute('identifier');
+        if (identifier && EXAM_ID_PATTERN.test(identifier)) metadata.examId = identifier;
+        if (root.getAttribute('title')) metadata.title = root.getAttribute('title');
+
+        const limits = find(root, 'timeLimits');
+        const maxTime = limits && Number(limits.getAttribute('maxTime'));
+        if (maxTime > 0) metadata.duration = Math.max(1, Math.round(maxTime / 60));
+        return metadata;
+    }
+
+    /**
+     * One assessmentItem as a question, or null if it is left out
+     */
+    function readItem(doc, path, questionNumber, result, passageIds, lost) {
+        const root = doc.documentElement;
+        if (root.localName !== 'assessmentItem') {
+            throw new Error(`Expected an assessmentItem, got <${root.localName}>`);
+        }
+        const body = find(root, 'itemBody');
+        if (!body) {
+            throw new Error('The item has no itemBody');
+        }
+
+        const interactions = findAll(body, '*').filter(el => /Interaction$/.test(el.localName));
+        const names = interactions.map(el => `<${el.localName}>`);
+        if (interactions.length !== 1 || !['choiceInteraction', 'textEntryInteraction'].includes(interactions[0].localName)) {
+            const reason = interactions.length === 0 ? 'it has no interaction'
+                : interactions.length > 1 ? `it has ${interactions.length} interactions (${names.join(', ')})`
+                    : `${names[0]} is not supported`;
+            result.warnings.push(`${path}: Left out, ${reason}`);
+            return null;
+        }
+
+        const interaction = interactions[0];
+        const declaration = findAll(root, 'responseDeclaration')
+            .find(el => el.getAttribute('identifier') === interaction.getAttribute('responseIdentifier'));
+        if (!declaration) {
+            throw new Error(`No responseDeclaration for ${interaction.getAttribute('responseIdentifier')}`);
+        }
+
+        const folder = folderOf(path);
+        const question = { questionId: null, questionNumber, questionText: '', marks: 1 };
+
+        // Passage copied into the item on export: share it again between the items that carry it
+        const passageDiv = findAll(body, 'div').find(div => /\bpassage\b/.test(div.getAttribute('class') || ''));
+        if (passageDiv) {
+            question.passageId = readPassage(passageDiv, result.passages, passageIds);
+            passageDiv.parentNode.removeChild(passageDiv);
+        }
+
+        findAll(body, '*').filter(el => /^feedback(Block|Inline)$/.test(el.localName)).forEach(el => {
+            lost.feedback.push(questionNumber);
+            el.parentNode.removeChild(el);
+        });
+
+        let answer;
+        if (interaction.localName === 'choiceInteraction') {
+            const choices = findAll(interaction, 'simpleChoice');
+            if (choices.length > OPTION_KEYS.length) {
+                result.warnings.push(`${path}: Left out, it has ${choices.length} choices and at most ${OPTION_KEYS.length} (A-F) are supported`);
+                return null;
+            }
+            answer = readChoice(interaction, choices, declaration, folder, questionNumber, lost);
+
+            const prompt = find(interaction, 'prompt');
+            const promptText = prompt ? textOf(prompt) : '';
+            interaction.parentNode.removeChild(interaction);
+            question.questionText = [textOf(body), promptText].filter(Boolean).join(' ');
+        } else {
+            answer = readTextEntry(root, declaration, questionNumber, lost);
+            interaction.parentNode.replaceChild(doc.createTextNode(' _____ '), interaction);
+            question.questionText = textOf(body).replace(/\s*_____\s*$/, '');
+        }
+
+        const image = find(body, 'img');
+        if (image) {
+            question.image = readImage(image, folder);
+        }
+        if (!question.questionText && question.image) {
+            question.questionText = question.image.alt;
+        }
+
+        Object.assign(question, answer.fields);
+        question.marks = readMarks(root, answer.marks, questionNumber, lost);
+
+        findAll(root, 'modalFeedback').forEach(feedback => {
+            if (feedback.getAttribute('identifier') === EXPLANATION_ID) {
+                question.explanation = textOf(feedback);
+            } else {
+                lost.feedback.push(questionNumber);
+            }
+        });
+
+        const label = root.getAttribute('label');
+        if (label && label.trim()) question.topic = label.trim();
+
+        const identifier = root.getAttribute('identifier');
+        if (identifier && QUESTION_ID_PATTERN.test(identifier)) question.questionId = identifier;
+        return question;
+    }
+
+    function readChoice(interaction, choices, declaration, folder, questionNumber, lost) {
+        if (choices.length < 2) {
+            throw new Error(`Expected at least 2 choices, got ${choices.length}`);
+        }
+
+        const keyOf = new Map(choices.map((choice, index) => [choice.getAttribute('identifier'), OPTION_KEYS[index]]));
+        const options = {};
+        const optionImages = {};
+        choices.forEach(choice => {
+            const key = keyOf.get(choice.getAttribute('identifier'));
+            const image = find(choice, 'img');
+            if (image) optionImages[key] = readImage(image, folder);
+            options[key] = textOf(choice);
+            if (!options[key] && !image) {
+                throw new Error(`Choice ${choice.getAttribute('identifier')} is empty`);
+            }
+        });
+
+        const toKey = identifier => {
+            if (!keyOf.has(identifier)) {
+                throw new Error(`The response refers to an unknown choice "${identifier}"`);
+            }
+            return keyOf.get(identifier);
+        };
+        const mapping = readMapping(declaration);
+        const values = [...mapping.entries()].map(([identifier, value]) => [toKey(identifier), value]);
+        const multiple = declaration.getAttribute('cardinality') !== 'single';
+
+        let correct = correctValues(declaration).map(toKey);
+        if (correct.length === 0 && values.length > 0) {
+            const best = Math.max(...values.map(([, value]) => value));
+            correct = values.filter(([, value]) => (multiple ? value > 0 : value === best && value > 0)).map(([key]) => key);
+        }
+        if (correct.length === 0) {
+            throw new Error('The item has no correct response');
+        }
+
+        const fields = { options, correctAnswer: multiple || correct.length > 1 ? correct.sort() : correct[0] };
+        if (multiple || correct.length > 1) fields.type = 'multiple';
+        if (Object.keys(optionImages).length > 0) fields.optionImages = optionImages;
+
+        // Marks: the mapped value of the correct answer(s), if the item has a mapping
+        const valueOf = key => (values.find(([k]) => k === key) || [])[1];
+        let marks = null;
+        if (values.length > 0) {
+            marks = correct.reduce((sum, key) => sum + (valueOf(key) || 0), 0) || null;
+        }
+
+        if (!fields.type && marks) {
+            const weights = {};
+            values.forEach(([key, value]) => {
+                if (key !== fields.correctAnswer && value > 0 && value < marks) {
+                    weights[key] = Number((value / marks).toFixed(4));
+                }
+            });
+            if (Object.keys(weights).length > 0) fields.optionWeights = weights;
+        }
+
+        return { fields, marks };
+    }
+
+    function readTextEntry(root, declaration, questionNumber, lost) {
+        const baseType = declaration.getAttribute('baseType');
+        const numeric = baseType === 'float' || baseType === 'integer';
+        const mapping = readMapping(declaration);
+        const best = mapping.size > 0 ? Math.max(...mapping.values()) : null;
+
+        const answers = correctValues(declaration);
+        mapping.forEach((value, key) => {
+            if (value === best && !answers.includes(key)) answers.push(key);
+            if (value > 0 && value < best) lost.partial.push(questionNumber);
+        });
+        if (answers.length === 0) {
+            throw new Error('The item has no correct response');
+        }
+
+        if (!numeric) {
+            return { fields: { type: 'text', acceptedAnswers: answers }, marks: best };
+        }
+
+        const numbers = answers.map(Number);
+        if (numbers.some(isNaN)) {
+            throw new Error(`"${answers[numbers.findIndex(isNaN)]}" is not a number`);
+        }
+        const fields = { type: 'numeric', acceptedAnswers: numbers };
+
+        const equal = findAll(root, 'equal')[0];
+        if (equal && equal.getAttribute('toleranceMode') === 'absolute') {
+            const tolerance = Number((equal.getAttribute('tolerance') || '').trim().split(/\s+/)[0]);
+            if (tolerance > 0) fields.tolerance = tolerance;
+        } else if (equal && equal.getAttribute('toleranceMode') === 'relative') {
+            lost.tolerance.push(questionNumber);
+        }
+        return { fields, marks: best };
+    }
+
+    function readMarks(root, mappedMarks, questionNumber, lost) {
+        const maxScore = findAll(root, 'outcomeDeclaration').find(el => el.getAttribute('identifier') === 'MAXSCORE');
+        const declared = maxScore ? Number(textOf(maxScore)) : NaN;
+        const marks = declared > 0 ? declared : mappedMarks || 1;
+
+        const rounded = Math.min(MAX_MARKS, Math.max(1, Math.round(marks)));
+        if (rounded !== marks) lost.marks.push(questionNumber);
+        return rounded;
+    }
+
+    function readPassage(div, passages, passageIds) {
+        const heading = find(div, 'h3') || find(div, 'h2') || find(div, 'h4');
+        const title = heading ? textOf(heading) : '';
+        if (heading) heading.parentNode.removeChild(heading);
+
+        const paras = findAll(div, 'p').map(p => textOf(p, true)).filter(Boolean);
+        const text = paras.length > 0 ? paras.join('\n\n') : textOf(div);
+
+        const key = `${title}\n${text}`;
+        if (!passageIds.has(key)) {
+            const passage = { passageId: `P${String(passages.length + 1).padStart(3, '0')}` };
+            if (title) passage.title = title;
+            passage.text = text;
+            passages.push(passage);
+            passageIds.set(key, passage.passageId);
+        }
+        return passageIds.get(key);
+    }
+
+    function readImage(img, folder) {
+        return {
+            src: resolvePath(folder, img.getAttribute('src') || ''),
+            alt: (img.getAttribute('alt') || '').trim() || 'Image'
+        };
+    }
+
+    function readMapping(declaration) {
+        const entries = new Map();
+        findAll(declaration, 'mapEntry').forEach(entry => {
+            entries.set(entry.getAttribute('mapKey'), Number(entry.getAttribute('mappedValue')));
+        });
+        return entries;
+    }
+
+    function correctValues(declaration) {
+        const correct = find(declaration, 'correctResponse');
+        return correct ? findAll(correct, 'value').map(textOf) : [];
+    }
+
+    /**
+     * Items named with an ID (as exported from here) keep it; the rest
+     * get the next free ID from their number
+     */
+    function assignQuestionIds(questions) {
+        const used = new Set(questions.map(q => q.questionId).filter(Boolean));
+        questions.forEach(question => {
+            if (question.questionId) return;
+            let n = question.questionNumber;
+            while (used.has(`Q${String(n).padStart(3, '0')}`)) n++;
+            question.questionId = `Q${String(n).padStart(3, '0')}`;
+            used.add(question.questionId);
+        });
+    }
+
+    // ===== XML helpers =====
+
+    function parseXml(text, path) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`${path} is not well-formed XML`);
+        }
+        return doc;
+    }
+
+    function find(node, localName) {
+        return node.getElementsByTagNameNS('*', localName)[0] || null;
+    }
+
+    function findAll(node, localName) {
+        return Array.from(node.getElementsByTagNameNS('*', localName));
+    }
+
+    /**
+     * Text of an element on one line, with spaces where blocks meet
+     * @param {Node} node - Element
+     * @param {boolean} keepBreaks - Keep <br/> as a line break
+     */
+    function textOf(node, keepBreaks = false) {
+        const parts = [];
+        (function walk(current) {
+            current.childNodes.forEach(child => {
+                if (child.nodeType === 3 || child.nodeType === 4) {
+                    parts.push(child.nodeValue);
+                } else if (child.nodeType === 1 && keepBreaks && child.localName === 'br') {
+                    parts.push('\n');
+                } else if (child.nodeType === 1) {
+                    const block = BLOCK_ELEMENTS.includes(child.localName);
+                    if (block) parts.push(' ');
+                    walk(child);
+                    if (block) parts.push(' ');
+                }
+            });
+        })(node);
+        return parts.join('').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).join('\n').trim();
+    }
+
+    function folderOf(path) {
+        const index = path.lastIndexOf('/');
+        return index >= 0 ? path.slice(0, index) : '';
+    }
+
+    /**
+     * Package path of an href relative to a folder in the package
+     */
+    function resolvePath(folder, href) {
+        const parts = folder ? folder.split('/') : [];
+        decodeURI(href).split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    function addLossWarning(warnings, questionNumbers, what) {
+        if (questionNumbers.length > 0) {
+            warnings.push(`Not kept for question(s) ${[...new Set(questionNumbers)].join(', ')}: ${what}`);
+        }
+    }
+
+    // Public API
+    return {
+        exportPackage,
+        parsePackage
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QtiFormat;
+} else if (typeof window !== 'undefined') {
+    window.QtiFormat = QtiFormat;
+}
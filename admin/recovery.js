@@ -0,0 +1,505 @@
+/**
+ * Result Recovery Page Controller
+ * Lists results and unfinished sessions stored on this computer
+ * (result outbox, legacy localStorage results, active session)
+ * and lets an invigilator resend, export or clear them.
+ */
+
+const Recovery = (function () {
+    'use strict';
+
+    const SESSION_KEY = 'school_cbt_active_session';
+    const LEGACY_PREFIX = 'exam_result_';
+
+    const SOURCE_LABELS = {
+        outbox: 'Upload queue',
+        legacy: 'Saved result (old format)',
+        session: 'Unfinished session'
+    };
+
+    const CSV_COLUMNS = [
+        'source', 'submissionId', 'fullName', 'registrationNumber', 'class',
+        'examId', 'subject', 'obtainedMarks', 'totalMarks', 'percentage', 'passed',
+        'submittedAt', 'storedAt', 'attempts', 'lastError', 'schemaValid'
+    ];
+
+    // DOM elements
+    let messageDiv;
+    let webhookInput;
+    let refreshButton;
+    let resendAllButton;
+    let exportJsonButton;
+    let exportCsvButton;
+    let clearAllButton;
+    let summaryP;
+    let listBody;
+
+    // State
+    let entries = [];
+    let outboxAvailable = true;
+    const exportedKeys = new Set(); // Downloaded during this visit, so safe to clear
+
+    /**
+     * Initialize the page
+     */
+    function init() {
+        messageDiv = document.getElementById('message');
+        webhookInput = document.getElementById('webhook-url');
+        refreshButton = document.getElementById('refresh-btn');
+        resendAllButton = document.getElementById('resend-all-btn');
+        exportJsonButton = document.getElementById('export-json-btn');
+        exportCsvButton = document.getElementById('export-csv-btn');
+        clearAllButton = document.getElementById('clear-all-btn');
+        summaryP = document.getElementById('recovery-summary');
+        listBody = document.getElementById('recovery-list');
+
+        refreshButton.addEventListener('click', refresh);
+        resendAllButton.addEventListener('click', handleResendAll);
+        exportJsonButton.addEventListener('click', handleExportJson);
+        exportCsvButton.addEventListener('click', handleExportCsv);
+        clearAllButton.addEventListener('click', handleClearAll);
+
+        try {
+            if (!window.resultsSchema) {
+                throw new Error('Results schema not found. Ensure schemas/results_schema.js is loaded.');
+            }
+            Validator.init(window.ajv2020, window.examSchema, window.resultsSchema);
+        } catch (error) {
+            showMessage(`Failed to load schema: ${error.message}`, 'error');
+        }
+
+        refresh();
+    }
+
+    /**
+     * Collect every stored result and session
+     * @returns {Promise<Array>} Entries: { key, source, data, record, storedAt, validation, exported }
+     */
+    async function loadEntries() {
+        const found = [];
+
+        outboxAvailable = true;
+        try {
+            const records = await ResultOutbox.getAll();
+            records.forEach(record => found.push({
+                key: record.submissionId,
+                source: 'outbox',
+                data: record.result,
+                record,
+                storedAt: record.queuedAt
+            }));
+        } catch (error) {
+            outboxAvailable = false;
+            console.warn('Result outbox unavailable:', error);
+        }
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(LEGACY_PREFIX)) continue;
+            found.push({
+                key,
+                source: 'legacy',
+                data: readStoredJson(key),
+                record: null,
+                storedAt: null
+            });
+        }
+
+        if (localStorage.getItem(SESSION_KEY) !== null) {
+            found.push({
+                key: SESSION_KEY,
+                source: 'session',
+                data: readStoredJson(SESSION_KEY),
+                record: null,
+                storedAt: null
+            });
+        }
+
+        found.forEach(entry => {
+            entry.validation = validateEntry(entry);
+            entry.exported = exportedKeys.has(entry.key);
+        });
+        return found;
+    }
+
+    function readStoredJson(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check a stored item: results against results.schema.json, sessions for the
+     * fields a resume needs (a session is not a finished result)
+     * @returns {object} { valid: boolean, errors: array }
+     */
+    function validateEntry(entry) {
+        if (entry.data === null || typeof entry.data !== 'object') {
+            return { valid: false, errors: [{ path: '$', message: 'Stored data is not valid JSON' }] };
+        }
+
+        if (entry.source === 'session') {
+            const errors = [];
+            if (!entry.data.exam || !entry.data.exam.examId) {
+                errors.push({ path: '/exam', message: 'Missing exam' });
+            }
+            if (!entry.data.student || !entry.data.student.name) {
+                errors.push({ path: '/student', message: 'Missing student details' });
+            }
+            return { valid: errors.length === 0, errors };
+        }
+
+        return Validator.validate(entry.data, 'results');
+    }
+
+    /**
+     * Reload entries from storage and redraw the table
+     */
+    async function refresh() {
+        entries = await loadEntries();
+        render();
+        if (!outboxAvailable) {
+            showMessage('The upload queue (IndexedDB) could not be opened in this browser. Only localStorage items are listed.', 'error');
+        }
+    }
+
+    function render() {
+        listBody.innerHTML = '';
+
+        const results = entries.filter(entry => entry.source !== 'session');
+        const sessions = entries.length - results.length;
+        const invalid = entries.filter(entry => !entry.validation.valid).length;
+
+        if (entries.length === 0) {
+            summaryP.textContent = 'Nothing is stored on this computer.';
+        } else {
+            summaryP.textContent = `${results.length} result(s) and ${sessions} unfinished session(s) found` +
+                (invalid > 0 ? `, ${invalid} failing validation.` : '.');
+        }
+
+        entries.forEach(entry => listBody.appendChild(createRow(entry)));
+
+        resendAllButton.disabled = results.length === 0;
+        exportJsonButton.disabled = entries.length === 0;
+        exportCsvButton.disabled = entries.length === 0;
+        clearAllButton.disabled = entries.length === 0 || entries.some(entry => !entry.exported);
+    }
+
+    /**
+     * Build one table row
+     */
+    function createRow(entry) {
+        const summary = summarize(entry);
+        const tr = document.createElement('tr');
+
+        [
+            SOURCE_LABELS[entry.source],
+            `${summary.fullName || '—'}${summary.registrationNumber ? ` (${summary.registrationNumber})` : ''}`,
+            `${summary.examId || '—'}${summary.subject ? ` – ${summary.subject}` : ''}`,
+            summary.score,
+            formatDate(entry.storedAt || summary.submittedAt)
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        // Schema status, with the errors one click away
+        const statusTd = document.createElement('td');
+        if (entry.validation.valid) {
+            statusTd.innerHTML = '<span class="status-badge valid">✓ Valid</span>';
+        } else {
+            const details = document.createElement('details');
+            details.innerHTML = '<summary><span class="status-badge invalid">✗ Invalid</span></summary>';
+            const pre = document.createElement('pre');
+            pre.className = 'recovery-errors';
+            pre.textContent = Validator.formatErrors(entry.validation.errors);
+            details.appendChild(pre);
+            statusTd.appendChild(details);
+        }
+        if (entry.record && entry.record.lastError) {
+            const lastError = document.createElement('div');
+            lastError.className = 'recovery-note';
+            lastError.textContent = `${entry.record.attempts} failed attempt(s): ${entry.record.lastError}`;
+            statusTd.appendChild(lastError);
+        }
+        if (entry.source === 'outbox' && !entry.record.webhookUrl) {
+            const noWebhook = document.createElement('div');
+            noWebhook.className = 'recovery-note';
+            noWebhook.textContent = 'No webhook URL recorded, so it is not sent automatically. Enter one above and resend.';
+            statusTd.appendChild(noWebhook);
+        }
+        tr.appendChild(statusTd);
+
+        const actionsTd = document.createElement('td');
+        actionsTd.className = 'recovery-actions';
+        if (entry.source !== 'session') {
+            actionsTd.appendChild(createButton('Resend', 'btn-primary', () => handleResend(entry)));
+        }
+        actionsTd.appendChild(createButton('JSON', 'btn-outline', () => handleExportEntry(entry)));
+        const clearButton = createButton('Clear', 'btn-secondary', () => handleClear(entry));
+        clearButton.disabled = !entry.exported;
+        clearButton.title = entry.exported ? '' : 'Download it first';
+        actionsTd.appendChild(clearButton);
+        tr.appendChild(actionsTd);
+
+        return tr;
+    }
+
+    function createButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.className = `btn btn-sm ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Flatten the fields shown in the table and the CSV
+     */
+    function summarize(entry) {
+        const data = entry.data || {};
+
+        if (entry.source === 'session') {
+            const exam = data.exam || {};
+            const total = Array.isArray(exam.questions) ? exam.questions.length : 0;
+            const answered = data.answers ? Object.keys(data.answers).length : 0;
+            return {
+                fullName: data.student && data.student.name,
+                registrationNumber: data.student && data.student.seatNumber,
+                class: data.student && data.student.class,
+                examId: exam.examId,
+                subject: exam.metadata && exam.metadata.subject,
+                score: `In progress: ${answered}/${total} answered`,
+                submittedAt: data.timing && data.timing.startedAt
+            };
+        }
+
+        const student = data.student || {};
+        const exam = data.exam || {};
+        const scoring = data.scoring || {};
+        return {
+            submissionId: data.submissionId,
+            fullName: student.fullName,
+            registrationNumber: student.registrationNumber,
+            class: student.class,
+            examId: exam.examId,
+            subject: exam.subject,
+            obtainedMarks: scoring.obtainedMarks,
+            totalMarks: scoring.totalMarks,
+            percentage: scoring.percentage,
+            passed: scoring.passed,
+            score: scoring.totalMarks !== undefined ? `${scoring.obtainedMarks} / ${scoring.totalMarks}` : '—',
+            submittedAt: data.timing && data.timing.submittedAt
+        };
+    }
+
+    function formatDate(iso) {
+        if (!iso) return '—';
+        const date = new Date(iso);
+        return isNaN(date.getTime()) ? iso : date.toLocaleString();
+    }
+
+    /**
+     * Send one result again; it is removed from this computer once sent
+     * @returns {Promise<boolean>} Whether it was sent
+     */
+    async function sendEntry(entry) {
+        const webhookUrl = (entry.record && entry.record.webhookUrl) || webhookInput.value.trim();
+        if (!webhookUrl) {
+            throw new Error('No webhook URL recorded for this result. Enter one above.');
+        }
+
+        const response = await SheetsSubmitter.submit(entry.data, { webhookUrl });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        await removeEntry(entry);
+        return true;
+    }
+
+    async function handleResend(entry) {
+        if (!entry.validation.valid &&
+            !confirm('This result does not match the results schema. The sheet may reject it. Send anyway?')) {
+            return;
+        }
+
+        try {
+            await sendEntry(entry);
+            showMessage(`✓ Sent ${entry.data.submissionId} and removed it from this computer.`, 'success');
+        } catch (error) {
+            showMessage(`Resend failed: ${error.message}`, 'error');
+        }
+        await refresh();
+    }
+
+    async function handleResendAll() {
+        const results = entries.filter(entry => entry.source !== 'session');
+        const failures = [];
+        let sent = 0;
+
+        resendAllButton.disabled = true;
+        for (const entry of results) {
+            try {
+                await sendEntry(entry);
+                sent++;
+            } catch (error) {
+                failures.push(`${entry.data && entry.data.submissionId || entry.key}: ${error.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            showMessage(`Sent ${sent} of ${results.length} result(s). Failed:\n${failures.join('\n')}`, 'error');
+        } else {
+            showMessage(`✓ Sent all ${sent} result(s).`, 'success');
+        }
+        await refresh();
+    }
+
+    /**
+     * Remove one entry from wherever it is stored
+     */
+    async function removeEntry(entry) {
+        if (entry.source === 'outbox') {
+            await ResultOutbox.remove(entry.key);
+        } else {
+            localStorage.removeItem(entry.key);
+        }
+    }
+
+    async function handleClear(entry) {
+        if (!entry.exported) {
+            showMessage('Download this item before clearing it.', 'error');
+            return;
+        }
+        const warning = entry.source === 'session'
+            ? 'Clear this unfinished session? The student will not be able to resume it on this computer.'
+            : 'Clear this result from this computer? Make sure the downloaded file is kept safe.';
+        if (!confirm(warning)) return;
+
+        await removeEntry(entry);
+        showMessage('✓ Cleared.', 'success');
+        await refresh();
+    }
+
+    async function handleClearAll() {
+        if (entries.some(entry => !entry.exported)) {
+            showMessage('Download the full JSON export before clearing.', 'error');
+            return;
+        }
+        if (!confirm(`Clear all ${entries.length} stored item(s) from this computer? Make sure the downloaded file is kept safe.`)) {
+            return;
+        }
+
+        for (const entry of entries) {
+            await removeEntry(entry);
+        }
+        showMessage(`✓ Cleared ${entries.length} item(s).`, 'success');
+        await refresh();
+    }
+
+    /**
+     * Export in full: everything needed to resend or re-mark later
+     */
+    function exportPayload(list) {
+        return {
+            exportedAt: new Date().toISOString(),
+            host: location.host,
+            items: list.map(entry => ({
+                source: entry.source,
+                key: entry.key,
+                storedAt: entry.storedAt,
+                webhookUrl: entry.record ? entry.record.webhookUrl : null,
+                schemaValid: entry.validation.valid,
+                data: entry.data
+            }))
+        };
+    }
+
+    function handleExportJson() {
+        downloadFile(`schoolcbt-recovery-${fileStamp()}.json`,
+            JSON.stringify(exportPayload(entries), null, 2), 'application/json');
+        entries.forEach(markExported);
+        render();
+        showMessage(`✓ Downloaded ${entries.length} item(s). Clearing is now enabled.`, 'success');
+    }
+
+    function handleExportEntry(entry) {
+        const name = entry.source === 'session' ? `session-${fileStamp()}` : (entry.data && entry.data.submissionId) || entry.key;
+        downloadFile(`${name}.json`, JSON.stringify(exportPayload([entry]), null, 2), 'application/json');
+        markExported(entry);
+        render();
+    }
+
+    function markExported(entry) {
+        entry.exported = true;
+        exportedKeys.add(entry.key);
+    }
+
+    /**
+     * Summary CSV (no answers, so it doesn't count as a backup for clearing)
+     */
+    function handleExportCsv() {
+        const rows = entries.map(entry => {
+            const summary = summarize(entry);
+            const values = Object.assign({}, summary, {
+                source: entry.source,
+                storedAt: entry.storedAt,
+                attempts: entry.record ? entry.record.attempts : '',
+                lastError: entry.record ? entry.record.lastError : '',
+                schemaValid: entry.validation.valid
+            });
+            return CSV_COLUMNS.map(column => csvCell(values[column])).join(',');
+        });
+
+        downloadFile(`schoolcbt-recovery-${fileStamp()}.csv`,
+            [CSV_COLUMNS.join(',')].concat(rows).join('\r\n'), 'text/csv');
+        showMessage(`✓ Downloaded a summary of ${entries.length} item(s). Download JSON as well before clearing.`, 'success');
+    }
+
+    function csvCell(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function fileStamp() {
+        return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    }
+
+    function downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show message to user
+     * @param {string} text - Message text
+     * @param {string} type - Message type (success, error, info)
+     */
+    function showMessage(text, type = 'info') {
+        messageDiv.textContent = text;
+        messageDiv.className = `message ${type}`;
+        messageDiv.classList.remove('hidden');
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
+
+// Initialize page when DOM is ready
+document.addEventListener('DOMContentLoaded', Recovery.init);
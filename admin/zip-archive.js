@@ -0,0 +1,194 @@
+/**
+ * Zip Archive Module
+ * Just enough of the zip format for content packages: writes uncompressed
+ * archives and reads stored or deflated ones (the two methods every
+ * packaging tool produces), using the browser's DecompressionStream.
+ */
+
+const ZipArchive = (function () {
+    'use strict';
+
+    const LOCAL_HEADER = 0x04034b50;
+    const CENTRAL_HEADER = 0x02014b50;
+    const END_OF_DIRECTORY = 0x06054b50;
+    const UTF8_FLAG = 0x0800;
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATE = 8;
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * MS-DOS date and time fields for a Date
+     */
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build a zip archive (entries stored uncompressed)
+     * @param {Array<{name: string, data: (string|Uint8Array)}>} files - Paths use forward slashes
+     * @returns {Uint8Array} Zip file contents
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const stamp = dosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_HEADER, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, UTF8_FLAG, true);
+            local.setUint16(8, METHOD_STORED, true);
+            local.setUint16(10, stamp.time, true);
+            local.setUint16(12, stamp.date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_HEADER, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, UTF8_FLAG, true);
+            central.setUint16(10, METHOD_STORED, true);
+            central.setUint16(12, stamp.time, true);
+            central.setUint16(14, stamp.date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_DIRECTORY, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Read every file in a zip archive
+     * @param {ArrayBuffer|Uint8Array} buffer - Zip file contents
+     * @returns {Promise<Array<{name: string, data: Uint8Array}>>} Files (folders left out)
+     */
+    async function readZip(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // The end-of-directory record sits at the end, before an optional comment
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === END_OF_DIRECTORY) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a zip file');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let pointer = view.getUint32(end + 16, true);
+        const files = [];
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(pointer, true) !== CENTRAL_HEADER) {
+                throw new Error('The zip file is damaged');
+            }
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+            if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+                throw new Error(`${name} is too large (zip64 archives are not supported)`);
+            }
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === METHOD_STORED) {
+                files.push({ name, data: raw });
+            } else if (method === METHOD_DEFLATE) {
+                files.push({ name, data: await inflate(raw) });
+            } else {
+                throw new Error(`${name} uses an unsupported compression method (${method})`);
+            }
+        }
+
+        return files;
+    }
+
+    async function inflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    // Public API
+    return {
+        createZip,
+        readZip
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+} else if (typeof window !== 'undefined') {
+    window.ZipArchive = ZipArchive;
+}
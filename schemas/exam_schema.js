@@ -13,6 +13,27 @@ window.examSchema = {
         "settings",
         "questions"
     ],
+    "definitions": {
+        "image": {
+            "type": "object",
+            "required": ["src", "alt"],
+            "additionalProperties": false,
+            "properties": {
+                "src": {
+                    "type": "string",
+                    "maxLength": 200,
+                    "pattern": "^(?!/)(?!.*\\.\\.)[A-Za-z0-9_./-]+\\.(png|jpg|jpeg|gif|svg|webp|PNG|JPG|JPEG|GIF|SVG|WEBP)$",
+                    "description": "Image file path relative to the /exams folder (e.g., images/BIO-2025-001/heart.png)"
+                },
+                "alt": {
+                    "type": "string",
+                    "minLength": 1,
+                    "maxLength": 300,
+                    "description": "Text alternative describing the image"
+                }
+            }
+        }
+    },
     "additionalProperties": false,
     "properties": {
         "examId": {
@@ -149,22 +170,115 @@ window.examSchema = {
                     "type": "boolean",
                     "default": false,
                     "description": "Log fullscreen exit as violation immediately"
+                },
+                "multiSelectScoring": {
+                    "type": "string",
+                    "enum": ["all-or-nothing", "proportional", "penalised"],
+                    "default": "all-or-nothing",
+                    "description": "How multiple-answer questions are marked: all-or-nothing (exact set only), proportional (share of correct options picked, zero if any wrong option is picked) or penalised (each wrong pick cancels a correct one, never below zero)"
+                },
+                "negativeMarking": {
+                    "type": "object",
+                    "required": ["mode"],
+                    "additionalProperties": false,
+                    "properties": {
+                        "mode": {
+                            "type": "string",
+                            "enum": ["none", "fixed", "fractional"],
+                            "default": "none",
+                            "description": "none: wrong answers score 0; fixed: deduct `value` marks per wrong answer; fractional: deduct `value` times the question's marks per wrong answer"
+                        },
+                        "value": {
+                            "type": "number",
+                            "minimum": 0,
+                            "maximum": 100,
+                            "description": "Marks (fixed) or share of the question's marks (fractional, e.g. 0.25) deducted per wrong answer"
+                        },
+                        "floorAtZero": {
+                            "type": "boolean",
+                            "default": true,
+                            "description": "Never let the exam total go below zero"
+                        }
+                    },
+                    "if": {
+                        "properties": {
+                            "mode": {
+                                "enum": ["fixed", "fractional"]
+                            }
+                        }
+                    },
+                    "then": {
+                        "required": ["value"]
+                    },
+                    "description": "Deductions for wrong answers, to discourage guessing. Unanswered questions and answers earning partial credit are never penalised"
+                }
+            }
+        },
+        "passages": {
+            "type": "array",
+            "maxItems": 50,
+            "description": "Shared reading passages (stimuli) that several questions link to via passageId",
+            "items": {
+                "type": "object",
+                "required": ["passageId", "text"],
+                "additionalProperties": false,
+                "properties": {
+                    "passageId": {
+                        "type": "string",
+                        "pattern": "^P[0-9]{3}$",
+                        "description": "Unique passage identifier (e.g., P001)"
+                    },
+                    "title": {
+                        "type": "string",
+                        "minLength": 1,
+                        "maxLength": 200,
+                        "description": "Passage heading shown above the text (optional)"
+                    },
+                    "text": {
+                        "type": "string",
+                        "minLength": 20,
+                        "maxLength": 20000,
+                        "description": "Passage text; blank lines separate paragraphs"
+                    }
+                }
+            }
+        },
+        "pools": {
+            "type": "array",
+            "minItems": 1,
+            "maxItems": 50,
+            "description": "Question pools for a per-student random draw: each student is asked `draw` questions from each pool, and questions with no pool are always asked",
+            "items": {
+                "type": "object",
+                "required": ["poolId", "draw"],
+                "additionalProperties": false,
+                "properties": {
+                    "poolId": {
+                        "type": "string",
+                        "pattern": "^[A-Za-z0-9][A-Za-z0-9 _-]*$",
+                        "maxLength": 50,
+                        "description": "Unique pool name (e.g., easy, Algebra) that questions refer to in their pool field"
+                    },
+                    "draw": {
+                        "type": "integer",
+                        "minimum": 1,
+                        "maximum": 200,
+                        "description": "Number of questions each student gets from this pool"
+                    }
                 }
             }
         },
         "questions": {
             "type": "array",
             "minItems": 1,
-            "maxItems": 200,
-            "description": "Array of exam questions",
+            "maxItems": 999,
+            "description": "Array of exam questions; with pools this is the question bank students' questions are drawn from",
             "items": {
                 "type": "object",
                 "required": [
                     "questionId",
                     "questionNumber",
                     "questionText",
-                    "options",
-                    "correctAnswer",
                     "marks"
                 ],
                 "additionalProperties": false,
@@ -179,56 +293,298 @@ window.examSchema = {
                         "minimum": 1,
                         "description": "Display order number"
                     },
+                    "passageId": {
+                        "type": "string",
+                        "pattern": "^P[0-9]{3}$",
+                        "description": "Passage shown alongside this question (optional; must match a passageId in passages)"
+                    },
+                    "type": {
+                        "type": "string",
+                        "enum": ["single", "multiple", "numeric", "text"],
+                        "default": "single",
+                        "description": "single: one correct option; multiple: select all that apply; numeric/text: student types the answer"
+                    },
                     "questionText": {
                         "type": "string",
                         "minLength": 10,
                         "maxLength": 2000,
                         "description": "The question text"
                     },
+                    "image": {
+                        "$ref": "#/definitions/image",
+                        "description": "Diagram shown with the question (optional)"
+                    },
                     "options": {
                         "type": "object",
-                        "required": ["A", "B", "C", "D"],
+                        "required": ["A", "B"],
                         "additionalProperties": false,
                         "properties": {
                             "A": {
                                 "type": "string",
-                                "minLength": 1,
+                                "minLength": 0,
                                 "maxLength": 500,
-                                "description": "Option A text"
+                                "description": "Option A text (empty for an image-only option)"
                             },
                             "B": {
                                 "type": "string",
-                                "minLength": 1,
+                                "minLength": 0,
                                 "maxLength": 500,
-                                "description": "Option B text"
+                                "description": "Option B text (empty for an image-only option)"
                             },
                             "C": {
                                 "type": "string",
-                                "minLength": 1,
+                                "minLength": 0,
                                 "maxLength": 500,
-                                "description": "Option C text"
+                                "description": "Option C text (empty for an image-only option)"
                             },
                             "D": {
                                 "type": "string",
-                                "minLength": 1,
+                                "minLength": 0,
+                                "maxLength": 500,
+                                "description": "Option D text (empty for an image-only option)"
+                            },
+                            "E": {
+                                "type": "string",
+                                "minLength": 0,
+                                "maxLength": 500,
+                                "description": "Option E text (empty for an image-only option)"
+                            },
+                            "F": {
+                                "type": "string",
+                                "minLength": 0,
                                 "maxLength": 500,
-                                "description": "Option D text"
+                                "description": "Option F text (empty for an image-only option)"
                             }
                         },
-                        "description": "Four answer options (A, B, C, D)"
+                        "description": "Two to six answer options, lettered from A with none skipped (A-B for True/False, A-E for five-option papers)"
+                    },
+                    "optionImages": {
+                        "type": "object",
+                        "additionalProperties": false,
+                        "properties": {
+                            "A": {
+                                "$ref": "#/definitions/image"
+                            },
+                            "B": {
+                                "$ref": "#/definitions/image"
+                            },
+                            "C": {
+                                "$ref": "#/definitions/image"
+                            },
+                            "D": {
+                                "$ref": "#/definitions/image"
+                            },
+                            "E": {
+                                "$ref": "#/definitions/image"
+                            },
+                            "F": {
+                                "$ref": "#/definitions/image"
+                            }
+                        },
+                        "description": "Images shown with individual options, keyed by option (optional)"
                     },
                     "correctAnswer": {
-                        "type": "string",
-                        "enum": ["A", "B", "C", "D"],
-                        "description": "The correct option key"
+                        "oneOf": [
+                            {
+                                "type": "string",
+                                "enum": ["A", "B", "C", "D", "E", "F"]
+                            },
+                            {
+                                "type": "array",
+                                "items": {
+                                    "type": "string",
+                                    "enum": ["A", "B", "C", "D", "E", "F"]
+                                },
+                                "minItems": 1,
+                                "uniqueItems": true
+                            }
+                        ],
+                        "description": "The correct option key, or an array of option keys for multiple-answer questions"
+                    },
+                    "optionWeights": {
+                        "type": "object",
+                        "minProperties": 1,
+                        "additionalProperties": false,
+                        "properties": {
+                            "A": {
+                                "type": "number",
+                                "exclusiveMinimum": 0,
+                                "exclusiveMaximum": 1
+                            },
+                            "B": {
+                                "type": "number",
+                                "exclusiveMinimum": 0,
+                                "exclusiveMaximum": 1
+                            },
+                            "C": {
+                                "type": "number",
+                                "exclusiveMinimum": 0,
+                                "exclusiveMaximum": 1
+                            },
+                            "D": {
+                                "type": "number",
+                                "exclusiveMinimum": 0,
+                                "exclusiveMaximum": 1
+                            },
+                            "E": {
+                                "type": "number",
+                                "exclusiveMinimum": 0,
+                                "exclusiveMaximum": 1
+                            },
+                            "F": {
+                                "type": "number",
+                                "exclusiveMinimum": 0,
+                                "exclusiveMaximum": 1
+                            }
+                        },
+                        "description": "Partial credit for near-correct distractors (single-answer questions only): share of the question's marks awarded for picking that option"
+                    },
+                    "acceptedAnswers": {
+                        "type": "array",
+                        "minItems": 1,
+                        "maxItems": 20,
+                        "items": {
+                            "type": ["string", "number"],
+                            "minLength": 1,
+                            "maxLength": 200
+                        },
+                        "description": "Accepted answers for numeric/text questions (numbers for numeric, spellings for text)"
+                    },
+                    "tolerance": {
+                        "type": "number",
+                        "minimum": 0,
+                        "description": "Allowed difference from an accepted answer for numeric questions (default 0)"
                     },
                     "marks": {
                         "type": "integer",
                         "minimum": 1,
                         "maximum": 10,
                         "description": "Marks awarded for correct answer"
+                    },
+                    "explanation": {
+                        "type": "string",
+                        "minLength": 1,
+                        "maxLength": 2000,
+                        "description": "Teacher's explanation of the answer, shown in post-exam review (optional)"
+                    },
+                    "topic": {
+                        "type": "string",
+                        "minLength": 1,
+                        "maxLength": 100,
+                        "description": "Topic or syllabus area the question covers (optional), e.g. Fractions"
+                    },
+                    "difficulty": {
+                        "type": "string",
+                        "enum": ["easy", "medium", "hard"],
+                        "description": "How hard the question is (optional)"
+                    },
+                    "objective": {
+                        "type": "string",
+                        "minLength": 1,
+                        "maxLength": 200,
+                        "description": "Learning objective the question assesses (optional), e.g. Add fractions with unlike denominators"
+                    },
+                    "tags": {
+                        "type": "array",
+                        "minItems": 1,
+                        "maxItems": 10,
+                        "uniqueItems": true,
+                        "items": {
+                            "type": "string",
+                            "pattern": "^[^,]+$",
+                            "minLength": 1,
+                            "maxLength": 50
+                        },
+                        "description": "Free-form labels for finding and reporting on questions (optional, no commas), e.g. WAEC 2019"
+                    },
+                    "pool": {
+                        "type": "string",
+                        "pattern": "^[A-Za-z0-9][A-Za-z0-9 _-]*$",
+                        "maxLength": 50,
+                        "description": "Pool the question is drawn from (optional; must be a poolId in pools)"
                     }
-                }
+                },
+                "allOf": [
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "multiple"
+                                }
+                            },
+                            "required": ["type"]
+                        },
+                        "then": {
+                            "properties": {
+                                "correctAnswer": {
+                                    "type": "array"
+                                },
+                                "optionWeights": false
+                            }
+                        },
+                        "else": {
+                            "properties": {
+                                "correctAnswer": {
+                                    "type": "string"
+                                }
+                            }
+                        }
+                    },
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "enum": ["numeric", "text"]
+                                }
+                            },
+                            "required": ["type"]
+                        },
+                        "then": {
+                            "required": ["acceptedAnswers"],
+                            "properties": {
+                                "options": false,
+                                "optionImages": false,
+                                "optionWeights": false,
+                                "correctAnswer": false
+                            }
+                        },
+                        "else": {
+                            "required": ["options", "correctAnswer"],
+                            "properties": {
+                                "acceptedAnswers": false
+                            }
+                        }
+                    },
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "numeric"
+                                }
+                            },
+                            "required": ["type"]
+                        },
+                        "then": {
+                            "properties": {
+                                "acceptedAnswers": {
+                                    "items": {
+                                        "type": "number"
+                                    }
+                                }
+                            }
+                        },
+                        "else": {
+                            "properties": {
+                                "acceptedAnswers": {
+                                    "items": {
+                                        "type": "string"
+                                    }
+                                },
+                                "tolerance": false
+                            }
+                        }
+                    }
+                ]
             }
         }
     }
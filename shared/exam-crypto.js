@@ -0,0 +1,212 @@
+/**
+ * Shared Exam Encryption Module
+ * Encrypted exam packages (PBKDF2 passcode key + AES-GCM, via Web Crypto)
+ * and sealing of the answer key until grading
+ */
+
+const ExamCrypto = (function () {
+  'use strict';
+
+  const PACKAGE_FORMAT = 'schoolcbt-encrypted-exam';
+  const PACKAGE_VERSION = 1;
+  const PBKDF2_ITERATIONS = 250000;
+  const MIN_PASSCODE_LENGTH = 6;
+
+  // Question fields that give the answer away; sealed from start until grading
+  const ANSWER_FIELDS = ['correctAnswer', 'acceptedAnswers', 'tolerance', 'optionWeights', 'explanation'];
+
+  /**
+   * Whether this browser can encrypt/decrypt (Web Crypto needs a secure context: https or localhost)
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * Whether loaded JSON is an encrypted package rather than a plain exam
+   * @param {object} data - Parsed JSON
+   * @returns {boolean}
+   */
+  function isEncryptedPackage(data) {
+    return !!data && data.format === PACKAGE_FORMAT;
+  }
+
+  function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Derive the AES key from a passcode. The key can't be exported, so the
+   * raw key never exists as readable data in the page.
+   * @param {string} passcode - Invigilator passcode
+   * @param {object} kdf - { name, hash, iterations, salt (base64) }
+   * @returns {Promise<CryptoKey>}
+   */
+  async function deriveKey(passcode, kdf) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * @returns {Promise<object>} { iv, ciphertext } (base64)
+   */
+  async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+  }
+
+  /**
+   * AES-GCM authenticates the data, so a wrong key fails here rather than
+   * producing garbage
+   */
+  async function decryptJson(key, sealed) {
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.ciphertext)
+      );
+    } catch (error) {
+      throw new Error('Incorrect passcode.');
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Encrypt a whole exam with a passcode
+   * @param {object} exam - Validated exam data
+   * @param {string} passcode - Invigilator passcode
+   * @returns {Promise<object>} Encrypted package (safe to publish in /exams)
+   */
+  async function encryptExam(exam, passcode) {
+    if (typeof passcode !== 'string' || passcode.length < MIN_PASSCODE_LENGTH) {
+      throw new Error(`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters.`);
+    }
+
+    const kdf = {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: PBKDF2_ITERATIONS,
+      salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+    const key = await deriveKey(passcode, kdf);
+    const sealed = await encryptJson(key, exam);
+
+    return {
+      format: PACKAGE_FORMAT,
+      version: PACKAGE_VERSION,
+      examId: exam.examId,
+      kdf,
+      cipher: { name: 'AES-GCM', iv: sealed.iv },
+      ciphertext: sealed.ciphertext
+    };
+  }
+
+  /**
+   * Decrypt a package
+   * @param {object} pkg - Encrypted package
+   * @param {string} passcode - Invigilator passcode
+   * @returns {Promise<object>} { exam, key, kdf } (key and kdf are reused to seal the answer key)
+   */
+  async function decryptExam(pkg, passcode) {
+    if (!isEncryptedPackage(pkg) || pkg.version !== PACKAGE_VERSION || !pkg.kdf || !pkg.cipher) {
+      throw new Error('Unsupported encrypted exam package.');
+    }
+
+    const key = await deriveKey(passcode, pkg.kdf);
+    const exam = await decryptJson(key, { iv: pkg.cipher.iv, ciphertext: pkg.ciphertext });
+    return { exam, key, kdf: pkg.kdf };
+  }
+
+  /**
+   * Take the answer fields out of every question and keep them encrypted
+   * in exam.answerKey, so neither the page nor the saved session holds them in the clear
+   * @param {object} exam - Exam data (after shuffling: the key must match the presented order)
+   * @param {CryptoKey} key - From decryptExam
+   * @param {object} kdf - From decryptExam; stored so the key can be re-derived on resume
+   * @returns {Promise<object>} Exam without answers, plus answerKey
+   */
+  async function sealAnswers(exam, key, kdf) {
+    const answers = {};
+    const questions = exam.questions.map(question => {
+      const stripped = { ...question };
+      answers[question.questionId] = {};
+      ANSWER_FIELDS.forEach(field => {
+        if (field in stripped) {
+          answers[question.questionId][field] = stripped[field];
+          delete stripped[field];
+        }
+      });
+      return stripped;
+    });
+
+    const sealed = await encryptJson(key, answers);
+    return { ...exam, questions, answerKey: { kdf, iv: sealed.iv, ciphertext: sealed.ciphertext } };
+  }
+
+  /**
+   * Put the answer fields back, for grading
+   * @param {object} exam - Exam with answerKey
+   * @param {CryptoKey} key - Key for exam.answerKey
+   * @returns {Promise<object>} Full exam without answerKey
+   */
+  async function unsealAnswers(exam, key) {
+    const answers = await decryptJson(key, exam.answerKey);
+    const { answerKey, ...rest } = exam;
+    return {
+      ...rest,
+      questions: exam.questions.map(question => ({ ...question, ...answers[question.questionId] }))
+    };
+  }
+
+  /**
+   * Re-derive the key for a sealed exam (e.g. on resume) and check it opens the answer key
+   * @param {object} exam - Exam with answerKey
+   * @param {string} passcode - Invigilator passcode
+   * @returns {Promise<CryptoKey>}
+   */
+  async function unlockSealedExam(exam, passcode) {
+    const key = await deriveKey(passcode, exam.answerKey.kdf);
+    await decryptJson(key, exam.answerKey);
+    return key;
+  }
+
+  // Public API
+  return {
+    MIN_PASSCODE_LENGTH,
+    ANSWER_FIELDS,
+    isSupported,
+    isEncryptedPackage,
+    encryptExam,
+    decryptExam,
+    sealAnswers,
+    unsealAnswers,
+    unlockSealedExam
+  };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExamCrypto;
+} else if (typeof window !== 'undefined') {
+  window.ExamCrypto = ExamCrypto;
+}
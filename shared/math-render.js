@@ -0,0 +1,401 @@
+/**
+ * Math Render Module
+ * Dependency-free renderer for a LaTeX-like subset inside \( ... \) delimiters:
+ * fractions, superscripts/subscripts, roots, Greek letters and common symbols.
+ *
+ * Example: "Simplify \( \frac{x^{2} - 1}{x + 1} \)"
+ */
+
+const MathRender = (function () {
+  'use strict';
+
+  const OPEN = '\\(';
+  const CLOSE = '\\)';
+
+  // Commands that render as a single symbol
+  const SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+    Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    times: '×', div: '÷', pm: '±', mp: '∓', cdot: '·', le: '≤', leq: '≤', ge: '≥',
+    geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', infty: '∞', degree: '°',
+    circ: '∘', angle: '∠', triangle: '△', perp: '⊥', parallel: '∥', therefore: '∴',
+    because: '∵', to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒',
+    in: '∈', notin: '∉', subset: '⊂', cup: '∪', cap: '∩', emptyset: '∅',
+    sum: '∑', int: '∫', partial: '∂', ldots: '…', cdots: '⋯', prime: '′',
+    '%': '%', '{': '{', '}': '}', ',': ' ', ';': ' ', ' ': ' '
+  };
+
+  // Commands rendered as upright function names
+  const FUNCTIONS = ['sin', 'cos', 'tan', 'log', 'ln', 'exp', 'min', 'max', 'lim'];
+
+  // Binary operators and relations get a little space either side
+  const OPERATORS = '+−=<>×÷±∓·≤≥≠≈≡→←⇒∈∉⊂∪∩';
+
+  const STYLES = `
+    .math { font-family: 'Cambria Math', 'STIX Two Math', 'Times New Roman', serif; white-space: nowrap; }
+    .math-var { font-style: italic; }
+    .math-fn { margin-right: 0.1em; }
+    .math-op { margin: 0 0.2em; }
+    .math sup, .math sub { font-size: 0.7em; line-height: 0; }
+    .math-frac { display: inline-flex; flex-direction: column; vertical-align: middle; text-align: center; font-size: 0.9em; margin: 0 0.15em; }
+    .math-num { border-bottom: 1px solid currentColor; padding: 0 0.15em; }
+    .math-den { padding: 0 0.15em; }
+    .math-sqrt { display: inline-flex; align-items: flex-end; }
+    .math-root-index { font-size: 0.6em; align-self: flex-start; margin-right: -0.35em; }
+    .math-radicand { border-top: 1px solid currentColor; padding: 0 0.15em; margin-left: 0.05em; }
+  `;
+
+  let stylesInjected = false;
+
+  /**
+   * Split text into plain and math segments
+   * @param {string} text - Text possibly containing \( ... \) markup
+   * @returns {array} [{ math: boolean, value: string }]
+   */
+  function splitSegments(text) {
+    const segments = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+      const open = text.indexOf(OPEN, pos);
+      const strayClose = text.indexOf(CLOSE, pos);
+
+      if (strayClose !== -1 && (open === -1 || strayClose < open)) {
+        throw new Error('Found \\) without a matching \\(');
+      }
+      if (open === -1) {
+        segments.push({ math: false, value: text.slice(pos) });
+        break;
+      }
+
+      if (open > pos) {
+        segments.push({ math: false, value: text.slice(pos, open) });
+      }
+
+      const close = text.indexOf(CLOSE, open + OPEN.length);
+      if (close === -1) {
+        throw new Error('Math starting with \\( is never closed with \\)');
+      }
+      const nestedOpen = text.indexOf(OPEN, open + OPEN.length);
+      if (nestedOpen !== -1 && nestedOpen < close) {
+        throw new Error('Math blocks cannot be nested: found \\( inside \\( ... \\)');
+      }
+
+      segments.push({ math: true, value: text.slice(open + OPEN.length, close) });
+      pos = close + CLOSE.length;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Recursive-descent parser for the contents of one math block
+   * @param {string} source - Math source (without delimiters)
+   * @returns {array} Node list
+   */
+  function parseMath(source) {
+    let pos = 0;
+
+    function peek() {
+      return source[pos];
+    }
+
+    function skipSpaces() {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+    }
+
+    function readCommandName() {
+      // pos is just after the backslash
+      const letters = source.slice(pos).match(/^[A-Za-z]+/);
+      if (letters) {
+        pos += letters[0].length;
+        return letters[0];
+      }
+      if (pos >= source.length) {
+        throw new Error('Stray \\ at the end of the expression');
+      }
+      return source[pos++];
+    }
+
+    function parseGroup(context) {
+      skipSpaces();
+      if (peek() !== '{') {
+        throw new Error(`${context} needs a {...} group, e.g. \\frac{1}{2}`);
+      }
+      pos++;
+      const children = parseList('}');
+      if (peek() !== '}') {
+        throw new Error('Missing closing }');
+      }
+      pos++;
+      return children;
+    }
+
+    function parseRawGroup(context) {
+      skipSpaces();
+      if (peek() !== '{') {
+        throw new Error(`${context} needs a {...} group`);
+      }
+      const end = source.indexOf('}', pos);
+      if (end === -1) {
+        throw new Error('Missing closing }');
+      }
+      const value = source.slice(pos + 1, end);
+      pos = end + 1;
+      return value;
+    }
+
+    function parseCommand() {
+      pos++; // backslash
+      const name = readCommandName();
+
+      if (name === 'frac') {
+        const num = parseGroup('\\frac');
+        const den = parseGroup('\\frac');
+        return { type: 'frac', num, den };
+      }
+      if (name === 'sqrt') {
+        let index = null;
+        skipSpaces();
+        if (peek() === '[') {
+          const end = source.indexOf(']', pos);
+          if (end === -1) {
+            throw new Error('Missing closing ] in \\sqrt[n]{...}');
+          }
+          index = parseMath(source.slice(pos + 1, end));
+          pos = end + 1;
+        }
+        return { type: 'sqrt', index, body: parseGroup('\\sqrt') };
+      }
+      if (name === 'text') {
+        return { type: 'text', value: parseRawGroup('\\text') };
+      }
+      if (FUNCTIONS.includes(name)) {
+        return { type: 'fn', value: name };
+      }
+      if (Object.prototype.hasOwnProperty.call(SYMBOLS, name)) {
+        return { type: 'symbol', value: SYMBOLS[name] };
+      }
+      throw new Error(`Unknown command \\${name}`);
+    }
+
+    function parseAtom() {
+      const ch = peek();
+      if (ch === '{') {
+        pos++;
+        const children = parseList('}');
+        if (peek() !== '}') {
+          throw new Error('Missing closing }');
+        }
+        pos++;
+        return { type: 'group', children };
+      }
+      if (ch === '\\') {
+        return parseCommand();
+      }
+      if (ch === '}') {
+        throw new Error('Unexpected } without a matching {');
+      }
+      pos++;
+      if (/[A-Za-z]/.test(ch)) {
+        return { type: 'var', value: ch };
+      }
+      return { type: 'char', value: ch === '-' ? '−' : ch };
+    }
+
+    function parseScriptArgument(marker) {
+      skipSpaces();
+      const ch = peek();
+      if (ch === undefined || ch === '}' || ch === '^' || ch === '_') {
+        throw new Error(`${marker} needs something after it, e.g. x${marker}{2}`);
+      }
+      const atom = parseAtom();
+      return atom.type === 'group' ? atom.children : [atom];
+    }
+
+    function parseList(terminator) {
+      const nodes = [];
+      while (pos < source.length && peek() !== terminator) {
+        if (/\s/.test(peek())) {
+          pos++;
+          continue;
+        }
+
+        let base = null;
+        if (peek() !== '^' && peek() !== '_') {
+          base = parseAtom();
+        }
+
+        let sup = null;
+        let sub = null;
+        skipSpaces();
+        while (peek() === '^' || peek() === '_') {
+          const marker = source[pos++];
+          if (marker === '^') {
+            if (sup) throw new Error('Double superscript: use braces, e.g. x^{ab}');
+            sup = parseScriptArgument('^');
+          } else {
+            if (sub) throw new Error('Double subscript: use braces, e.g. x_{ab}');
+            sub = parseScriptArgument('_');
+          }
+          skipSpaces();
+        }
+
+        nodes.push(sup || sub ? { type: 'scripts', base, sup, sub } : base);
+      }
+      return nodes;
+    }
+
+    const nodes = parseList(undefined);
+    if (pos < source.length) {
+      throw new Error('Unexpected } without a matching {');
+    }
+    return nodes;
+  }
+
+  /**
+   * Check text for malformed math markup
+   * @param {string} text - Question or option text
+   * @returns {array} Error messages (empty if valid)
+   */
+  function validate(text) {
+    try {
+      splitSegments(text).forEach(segment => {
+        if (segment.math) parseMath(segment.value);
+      });
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  }
+
+  /**
+   * Whether text contains any math markup
+   * @param {string} text
+   * @returns {boolean}
+   */
+  function hasMath(text) {
+    return typeof text === 'string' && text.indexOf(OPEN) !== -1;
+  }
+
+  function el(tag, className, children) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    (children || []).forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  function buildNodes(nodes) {
+    return nodes.map(buildNode);
+  }
+
+  function buildNode(node) {
+    switch (node.type) {
+      case 'var':
+        return el('i', 'math-var', [document.createTextNode(node.value)]);
+      case 'char':
+      case 'symbol':
+        if (OPERATORS.includes(node.value)) {
+          return el('span', 'math-op', [document.createTextNode(node.value)]);
+        }
+        return document.createTextNode(node.value);
+      case 'text':
+        return el('span', 'math-text', [document.createTextNode(node.value)]);
+      case 'fn':
+        return el('span', 'math-fn', [document.createTextNode(node.value)]);
+      case 'group':
+        return el('span', null, buildNodes(node.children));
+      case 'frac':
+        return el('span', 'math-frac', [
+          el('span', 'math-num', buildNodes(node.num)),
+          el('span', 'math-den', buildNodes(node.den))
+        ]);
+      case 'sqrt': {
+        const parts = [];
+        if (node.index) parts.push(el('span', 'math-root-index', buildNodes(node.index)));
+        parts.push(el('span', 'math-radical', [document.createTextNode('√')]));
+        parts.push(el('span', 'math-radicand', buildNodes(node.body)));
+        return el('span', 'math-sqrt', parts);
+      }
+      case 'scripts': {
+        const parts = node.base ? [buildNode(node.base)] : [];
+        if (node.sub) parts.push(el('sub', null, buildNodes(node.sub)));
+        if (node.sup) parts.push(el('sup', null, buildNodes(node.sup)));
+        return el('span', null, parts);
+      }
+      default:
+        return document.createTextNode('');
+    }
+  }
+
+  function injectStyles() {
+    if (stylesInjected || typeof document === 'undefined') return;
+    const style = document.createElement('style');
+    style.id = 'math-render-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+    stylesInjected = true;
+  }
+
+  /**
+   * Render text with math markup into a DOM fragment.
+   * Plain text is inserted as text nodes (never as HTML). Malformed markup is
+   * shown as-is, so a bad expression never blanks out a question.
+   * @param {string} text - Question or option text
+   * @returns {DocumentFragment}
+   */
+  function render(text) {
+    const fragment = document.createDocumentFragment();
+    let segments;
+
+    try {
+      segments = splitSegments(text);
+    } catch (error) {
+      fragment.appendChild(document.createTextNode(text));
+      return fragment;
+    }
+
+    segments.forEach(segment => {
+      if (!segment.math) {
+        fragment.appendChild(document.createTextNode(segment.value));
+        return;
+      }
+      try {
+        injectStyles();
+        fragment.appendChild(el('span', 'math', buildNodes(parseMath(segment.value))));
+      } catch (error) {
+        fragment.appendChild(document.createTextNode(OPEN + segment.value + CLOSE));
+      }
+    });
+
+    return fragment;
+  }
+
+  /**
+   * Replace an element's contents with rendered text
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Question or option text
+   */
+  function renderInto(element, text) {
+    element.textContent = '';
+    element.appendChild(render(text));
+  }
+
+  // Public API
+  return {
+    validate,
+    hasMath,
+    render,
+    renderInto
+  };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MathRender;
+} else if (typeof window !== 'undefined') {
+  window.MathRender = MathRender;
+}
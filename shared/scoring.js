@@ -0,0 +1,267 @@
+/**
+ * Shared Scoring Module
+ * Marks a single answer against a question, per the exam's scoring settings,
+ * and subtotals the marks by topic
+ */
+
+const Scoring = (function () {
+  'use strict';
+
+  const MULTI_SELECT_RULES = ['all-or-nothing', 'proportional', 'penalised'];
+  const NEGATIVE_MARKING_MODES = ['none', 'fixed', 'fractional'];
+
+  /**
+   * Round marks to 2 decimal places
+   * @param {number} value - Raw marks
+   * @returns {number} Rounded marks
+   */
+  function roundMarks(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Whether a question takes a typed answer instead of options
+   * @param {object} question - Question object
+   * @returns {boolean}
+   */
+  function isTyped(question) {
+    return question.type === 'numeric' || question.type === 'text';
+  }
+
+  /**
+   * Whether a stored answer counts as attempted
+   * @param {*} selected - Stored answer (option key, array of keys, typed text, or null)
+   * @returns {boolean}
+   */
+  function isAnswered(selected) {
+    if (Array.isArray(selected)) {
+      return selected.length > 0;
+    }
+    return selected !== null && selected !== undefined && String(selected).trim() !== '';
+  }
+
+  /**
+   * Mark a multiple-answer question
+   * @param {object} question - Question object (correctAnswer is an array)
+   * @param {array} selected - Option keys picked by the student
+   * @param {string} rule - One of MULTI_SELECT_RULES
+   * @returns {object} { isCorrect, marksAwarded }
+   */
+  function scoreMultiple(question, selected, rule) {
+    const marks = question.marks || 1;
+    const correct = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer];
+    const hits = selected.filter(key => correct.includes(key)).length;
+    const wrongPicks = selected.length - hits;
+    const isCorrect = wrongPicks === 0 && hits === correct.length;
+
+    let fraction;
+    switch (rule) {
+      case 'proportional':
+        fraction = wrongPicks > 0 ? 0 : hits / correct.length;
+        break;
+      case 'penalised':
+        fraction = Math.max(0, (hits - wrongPicks) / correct.length);
+        break;
+      default:
+        fraction = isCorrect ? 1 : 0;
+    }
+
+    return { isCorrect, marksAwarded: roundMarks(marks * fraction) };
+  }
+
+  /**
+   * Parse a typed numeric answer ("3.14", " -2 ", "1,250.5")
+   * @param {string} text - Student's typed answer
+   * @returns {number} Parsed value, or NaN if not a number
+   */
+  function parseNumber(text) {
+    let cleaned = String(text).trim().replace(/\s+/g, '');
+    // Allow thousands separators, but only in their usual positions
+    if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(cleaned)) {
+      cleaned = cleaned.replace(/,/g, '');
+    }
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(cleaned)) {
+      return NaN;
+    }
+    return Number(cleaned);
+  }
+
+  /**
+   * Normalise typed text for comparison: case-insensitive, whitespace collapsed
+   * @param {string} text - Typed or accepted answer
+   * @returns {string} Normalised text
+   */
+  function normaliseText(text) {
+    return String(text).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Whether a typed answer matches any accepted answer
+   * @param {object} question - numeric or text question
+   * @param {string} typed - Student's typed answer
+   * @returns {boolean}
+   */
+  function matchesTyped(question, typed) {
+    const accepted = question.acceptedAnswers || [];
+
+    if (question.type === 'numeric') {
+      const value = parseNumber(typed);
+      if (isNaN(value)) return false;
+      const tolerance = question.tolerance || 0;
+      // Small epsilon so 0.1 + 0.2 style rounding doesn't fail an exact answer
+      return accepted.some(answer => Math.abs(value - Number(answer)) <= tolerance + 1e-9);
+    }
+
+    const normalised = normaliseText(typed);
+    return accepted.some(answer => normaliseText(answer) === normalised);
+  }
+
+  /**
+   * Read the exam's negative-marking rule, filling in defaults
+   * @param {object} settings - Exam settings
+   * @returns {object} { mode, value, floorAtZero }
+   */
+  function getNegativeMarking(settings = {}) {
+    const rule = settings.negativeMarking || {};
+    const mode = NEGATIVE_MARKING_MODES.includes(rule.mode) ? rule.mode : 'none';
+    return {
+      mode,
+      value: mode === 'none' ? 0 : Math.max(0, Number(rule.value) || 0),
+      floorAtZero: rule.floorAtZero !== false
+    };
+  }
+
+  /**
+   * Marks deducted for a wrong answer to a question
+   * @param {object} question - Question object
+   * @param {object} settings - Exam settings
+   * @returns {number} Deduction (0 when negative marking is off)
+   */
+  function penaltyFor(question, settings) {
+    const rule = getNegativeMarking(settings);
+    if (rule.mode === 'fixed') {
+      return roundMarks(rule.value);
+    }
+    if (rule.mode === 'fractional') {
+      return roundMarks((question.marks || 1) * rule.value);
+    }
+    return 0;
+  }
+
+  /**
+   * Mark an answer before any deduction
+   * @param {object} question - Question object from the exam
+   * @param {*} selected - Stored answer (already known to be answered)
+   * @param {object} settings - Exam settings
+   * @returns {object} { isCorrect, marksAwarded }
+   */
+  function scoreAnswer(question, selected, settings) {
+    const marks = question.marks || 1;
+
+    if (isTyped(question)) {
+      const isCorrect = matchesTyped(question, selected);
+      return { isCorrect, marksAwarded: isCorrect ? marks : 0 };
+    }
+
+    if (question.type === 'multiple') {
+      const rule = MULTI_SELECT_RULES.includes(settings.multiSelectScoring)
+        ? settings.multiSelectScoring
+        : 'all-or-nothing';
+      return scoreMultiple(question, [].concat(selected), rule);
+    }
+
+    if (selected === question.correctAnswer) {
+      return { isCorrect: true, marksAwarded: marks };
+    }
+
+    // Near-correct distractors may carry partial credit
+    const weight = (question.optionWeights && question.optionWeights[selected]) || 0;
+    return { isCorrect: false, marksAwarded: roundMarks(marks * weight) };
+  }
+
+  /**
+   * Mark one answer. A wrong answer that earns no partial credit loses the
+   * negative-marking deduction, so marksAwarded may be negative.
+   * @param {object} question - Question object from the exam
+   * @param {*} selected - Stored answer (null if unanswered)
+   * @param {object} settings - Exam settings
+   * @returns {object} { isCorrect, marksAwarded }
+   */
+  function scoreQuestion(question, selected, settings = {}) {
+    if (!isAnswered(selected)) {
+      return { isCorrect: false, marksAwarded: 0 };
+    }
+
+    const result = scoreAnswer(question, selected, settings);
+    const penalty = penaltyFor(question, settings);
+    if (!result.isCorrect && result.marksAwarded === 0 && penalty > 0) {
+      result.marksAwarded = -penalty;
+    }
+    return result;
+  }
+
+  /**
+   * Final exam total from the sum of marksAwarded, applying the zero floor
+   * @param {number} total - Sum of marksAwarded across all questions
+   * @param {object} settings - Exam settings
+   * @returns {number} Rounded total
+   */
+  function finalTotal(total, settings = {}) {
+    const rounded = roundMarks(total);
+    return getNegativeMarking(settings).floorAtZero ? Math.max(0, rounded) : rounded;
+  }
+
+  /**
+   * Subtotals per question topic, in the order topics first appear.
+   * Questions without a topic are left out; deductions count against
+   * their topic, with no floor at zero.
+   * @param {array} questions - Questions as asked
+   * @param {object} graded - questionId -> { isCorrect, marksAwarded }
+   * @returns {array} [{ topic, totalQuestions, correctAnswers, totalMarks, obtainedMarks, percentage }]
+   */
+  function topicSubtotals(questions, graded) {
+    const topics = new Map();
+    questions.forEach(question => {
+      if (!question.topic) return;
+      if (!topics.has(question.topic)) {
+        topics.set(question.topic, { topic: question.topic, totalQuestions: 0, correctAnswers: 0, totalMarks: 0, obtainedMarks: 0 });
+      }
+      const subtotal = topics.get(question.topic);
+      const answer = graded[question.questionId];
+      subtotal.totalQuestions++;
+      subtotal.totalMarks += question.marks || 1;
+      if (answer) {
+        subtotal.correctAnswers += answer.isCorrect ? 1 : 0;
+        subtotal.obtainedMarks += answer.marksAwarded;
+      }
+    });
+
+    return [...topics.values()].map(subtotal => ({
+      ...subtotal,
+      obtainedMarks: roundMarks(subtotal.obtainedMarks),
+      percentage: roundMarks((subtotal.obtainedMarks / subtotal.totalMarks) * 100)
+    }));
+  }
+
+  // Public API
+  return {
+    MULTI_SELECT_RULES,
+    NEGATIVE_MARKING_MODES,
+    roundMarks,
+    isAnswered,
+    isTyped,
+    parseNumber,
+    normaliseText,
+    getNegativeMarking,
+    scoreQuestion,
+    finalTotal,
+    topicSubtotals
+  };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Scoring;
+} else if (typeof window !== 'undefined') {
+  window.Scoring = Scoring;
+}
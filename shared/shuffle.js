@@ -0,0 +1,250 @@
+/**
+ * Shared Shuffle Module
+ * Deterministic (seeded) drawing from question pools and shuffling of
+ * questions and options, so the exact questions and order a student saw can
+ * be recorded in the result and replayed later.
+ */
+
+const Shuffle = (function () {
+  'use strict';
+
+  /**
+   * Hash a string into an unsigned 32-bit integer (FNV-1a)
+   * @param {string} text - Input text
+   * @returns {number} 32-bit unsigned hash
+   */
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Derive the shuffle seed for a student's sitting.
+   * Uses examId + registration number so the order is reproducible; falls back
+   * to a random per-session seed when no registration number is known.
+   * @param {string} examId - Exam identifier
+   * @param {string} registrationNumber - Student registration/seat number
+   * @returns {number} 32-bit unsigned seed
+   */
+  function deriveSeed(examId, registrationNumber) {
+    const reg = (registrationNumber || '').trim().toUpperCase();
+    if (reg) {
+      return hashString(`${examId}|${reg}`);
+    }
+
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Create a seeded pseudo-random generator (mulberry32)
+   * @param {number} seed - 32-bit unsigned seed
+   * @returns {function} Generator returning floats in [0, 1)
+   */
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Fisher-Yates shuffle algorithm
+   * @param {array} array - Items to shuffle (not modified)
+   * @param {function} random - Generator from createRandom()
+   * @returns {array} Shuffled copy
+   */
+  function shuffleArray(array, random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Re-key a question's options into a given order, tracking the correct answer(s)
+   * @param {object} question - Question object
+   * @param {array} order - Original option keys in display order
+   * @returns {object} Question with remapped options and correctAnswer
+   */
+  function applyOptionOrder(question, order) {
+    const optionKeys = Object.keys(question.options).sort();
+    const newOptions = {};
+    const keyMap = {};
+
+    order.forEach((originalKey, index) => {
+      const newKey = optionKeys[index];
+      newOptions[newKey] = question.options[originalKey];
+      keyMap[originalKey] = newKey;
+    });
+
+    // Track where the correct answer(s) moved to
+    const newCorrectAnswer = Array.isArray(question.correctAnswer)
+      ? question.correctAnswer.map(key => keyMap[key]).sort()
+      : keyMap[question.correctAnswer] || question.correctAnswer;
+
+    const remapped = { ...question, options: newOptions, correctAnswer: newCorrectAnswer };
+
+    // Option images and partial-credit weights move with their options
+    ['optionImages', 'optionWeights'].forEach(field => {
+      if (!question[field]) return;
+      remapped[field] = {};
+      Object.keys(question[field]).forEach(key => {
+        remapped[field][keyMap[key]] = question[field][key];
+      });
+    });
+
+    return remapped;
+  }
+
+  /**
+   * Group questions into shuffle units: each passage's questions form one unit
+   * (in authored order, placed where the passage first appears); every other
+   * question is a unit on its own
+   * @param {array} questions - Questions in authored order
+   * @returns {array} Array of question arrays
+   */
+  function groupByPassage(questions) {
+    const units = [];
+    const passageUnits = {};
+
+    questions.forEach(q => {
+      if (!q.passageId) {
+        units.push([q]);
+        return;
+      }
+      if (!passageUnits[q.passageId]) {
+        passageUnits[q.passageId] = [];
+        units.push(passageUnits[q.passageId]);
+      }
+      passageUnits[q.passageId].push(q);
+    });
+
+    return units;
+  }
+
+  /**
+   * Draw each pool's questions for one student. Questions with no pool are
+   * always kept, and drawn questions keep their authored order.
+   * The draw uses its own generator, so adding pools to an exam doesn't
+   * change how the rest of it is shuffled.
+   * @param {object} exam - Exam object (not modified)
+   * @param {number} seed - Seed from deriveSeed()
+   * @returns {object} { questions, drawn } where drawn maps each pool ID to
+   *   the drawn question IDs (null when the exam has no pools)
+   */
+  function drawQuestions(exam, seed) {
+    const pools = exam.pools || [];
+    if (pools.length === 0) {
+      return { questions: [...exam.questions], drawn: null };
+    }
+
+    const random = createRandom(hashString(`${seed}|pools`));
+    const chosen = new Set();
+    const drawn = {};
+    pools.forEach(pool => {
+      const candidates = exam.questions.filter(q => q.pool === pool.poolId);
+      shuffleArray(candidates, random).slice(0, pool.draw).forEach(q => chosen.add(q));
+      drawn[pool.poolId] = candidates.filter(q => chosen.has(q)).map(q => q.questionId);
+    });
+
+    return {
+      questions: exam.questions.filter(q => q.pool === undefined || chosen.has(q)),
+      drawn
+    };
+  }
+
+  /**
+   * Prepare an exam's questions for one student.
+   * Pools are drawn from first, then questions are shuffled (a passage's
+   * questions stay together), then each question's options in display order.
+   * @param {object} exam - Exam object (not modified)
+   * @param {number} seed - Seed from deriveSeed()
+   * @returns {object} { questions, presentation } where presentation records
+   *   the seed, the question order, each question's option order and, for
+   *   exams with pools, the questions drawn from each pool
+   */
+  function applyToExam(exam, seed) {
+    const random = createRandom(seed);
+    const settings = exam.settings || {};
+    const draw = drawQuestions(exam, seed);
+
+    let questions = draw.questions;
+    if (settings.shuffleQuestions) {
+      questions = shuffleArray(groupByPassage(questions), random).flat();
+    }
+
+    const optionOrder = {};
+    questions = questions.map(q => {
+      // Typed-answer questions have no options to shuffle
+      if (!q.options) return q;
+      const keys = Object.keys(q.options).sort();
+      const order = settings.shuffleOptions ? shuffleArray(keys, random) : keys;
+      optionOrder[q.questionId] = order;
+      return applyOptionOrder(q, order);
+    });
+
+    const presentation = {
+      seed,
+      questionOrder: questions.map(q => q.questionId),
+      optionOrder
+    };
+    if (draw.drawn) {
+      presentation.drawn = draw.drawn;
+    }
+
+    return { questions, presentation };
+  }
+
+  /**
+   * Rebuild the questions exactly as a student saw them from a recorded presentation
+   * @param {object} exam - Original (unshuffled) exam object
+   * @param {object} presentation - `presentation` block from a result
+   * @returns {array} Questions in display order with display option keys
+   */
+  function replay(exam, presentation) {
+    const byId = {};
+    exam.questions.forEach(q => { byId[q.questionId] = q; });
+
+    return presentation.questionOrder.map(questionId => {
+      const q = byId[questionId];
+      if (!q) {
+        throw new Error(`Question ${questionId} not found in exam ${exam.examId}`);
+      }
+      if (!q.options) return q;
+      const order = (presentation.optionOrder && presentation.optionOrder[questionId]) ||
+        Object.keys(q.options).sort();
+      return applyOptionOrder(q, order);
+    });
+  }
+
+  // Public API
+  return {
+    hashString,
+    deriveSeed,
+    createRandom,
+    shuffleArray,
+    drawQuestions,
+    applyToExam,
+    replay
+  };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Shuffle;
+} else if (typeof window !== 'undefined') {
+  window.Shuffle = Shuffle;
+}
@@ -11,6 +11,9 @@ const Validator = (function () {
   let examValidator = null;
   let resultsValidator = null;
 
+  // Most questions one student may be asked (a pooled bank can hold more)
+  const MAX_ASKED = 200;
+
   /**
    * Initialize the validator with Ajv and schemas
    * @param {object} Ajv - Ajv constructor from CDN
@@ -66,13 +69,18 @@ const Validator = (function () {
     }
 
     const valid = validator(data);
+    // Checks JSON Schema can't express (cross-references, math markup)
+    const semanticErrors = schemaType === 'exam'
+      ? checkPassageLinks(data).concat(checkPools(data), checkOptionKeys(data), checkOptionWeights(data), checkMathMarkup(data))
+      : [];
 
     if (valid) {
-      return { valid: true, errors: [] };
+      return { valid: semanticErrors.length === 0, errors: semanticErrors };
     }
 
     // Format errors for user-friendly display
-    const errors = validator.errors.map(err => {
+    // ("if" errors only say a conditional branch failed; the branch's own errors are more useful)
+    const errors = validator.errors.filter(err => err.keyword !== 'if').map(err => {
       let path = err.instancePath || '$';
       let message = err.message;
 
@@ -85,12 +93,228 @@ const Validator = (function () {
         message = `Invalid value. Allowed values: ${err.params.allowedValues.join(', ')}`;
       } else if (err.keyword === 'additionalProperties') {
         message = `Additional property '${err.params.additionalProperty}' is not allowed`;
+      } else if (err.keyword === 'false schema') {
+        message = `Field '${path.split('/').pop()}' is not allowed for this question type`;
       }
 
       return { path, message };
     });
 
-    return { valid: false, errors };
+    return { valid: false, errors: errors.concat(semanticErrors) };
+  }
+
+  /**
+   * Check that passage IDs are unique and every question's passageId exists
+   * @param {object} exam - Exam data
+   * @returns {array} Error objects
+   */
+  function checkPassageLinks(exam) {
+    if (!exam || !Array.isArray(exam.questions)) {
+      return [];
+    }
+
+    const errors = [];
+    const passageIds = new Set();
+    (Array.isArray(exam.passages) ? exam.passages : []).forEach((passage, index) => {
+      if (passageIds.has(passage.passageId)) {
+        errors.push({ path: `/passages/${index}/passageId`, message: `Duplicate passage ID '${passage.passageId}'` });
+      }
+      passageIds.add(passage.passageId);
+    });
+
+    exam.questions.forEach((question, index) => {
+      if (question.passageId !== undefined && !passageIds.has(question.passageId)) {
+        errors.push({ path: `/questions/${index}/passageId`, message: `Passage '${question.passageId}' not found in passages` });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check that pool IDs are unique, every question's pool exists, each pool
+   * has enough questions for its draw, and no student is asked more than
+   * MAX_ASKED questions. Questions in a pool must carry the same marks so
+   * every draw is worth the same, and with pools the total marks must be
+   * what one student is actually asked.
+   * @param {object} exam - Exam data
+   * @returns {array} Error objects
+   */
+  function checkPools(exam) {
+    if (!exam || !Array.isArray(exam.questions)) {
+      return [];
+    }
+
+    const errors = [];
+    const pools = Array.isArray(exam.pools) ? exam.pools : [];
+    const sizes = new Map();
+    pools.forEach((pool, index) => {
+      if (sizes.has(pool.poolId)) {
+        errors.push({ path: `/pools/${index}/poolId`, message: `Duplicate pool ID '${pool.poolId}'` });
+      }
+      sizes.set(pool.poolId, 0);
+    });
+
+    let asked = 0;
+    let askedMarks = 0;
+    let mixedMarks = false;
+    const poolMarks = new Map();
+    exam.questions.forEach((question, index) => {
+      if (question.pool === undefined) {
+        asked++;
+        askedMarks += question.marks;
+      } else if (!sizes.has(question.pool)) {
+        errors.push({ path: `/questions/${index}/pool`, message: `Pool '${question.pool}' not found in pools` });
+      } else {
+        sizes.set(question.pool, sizes.get(question.pool) + 1);
+        if (!poolMarks.has(question.pool)) {
+          poolMarks.set(question.pool, question.marks);
+        } else if (poolMarks.get(question.pool) !== question.marks) {
+          mixedMarks = true;
+          errors.push({
+            path: `/questions/${index}/marks`,
+            message: `Question is worth ${question.marks} mark(s) but pool '${question.pool}' questions are worth ${poolMarks.get(question.pool)}; every question in a pool must carry the same marks`
+          });
+        }
+      }
+    });
+
+    pools.forEach((pool, index) => {
+      if (!Number.isInteger(pool.draw)) return;
+      const size = sizes.get(pool.poolId);
+      if (pool.draw > size) {
+        errors.push({ path: `/pools/${index}/draw`, message: `Pool '${pool.poolId}' draws ${pool.draw} questions but only has ${size}` });
+      }
+      asked += Math.min(pool.draw, size);
+      askedMarks += Math.min(pool.draw, size) * (poolMarks.get(pool.poolId) || 0);
+    });
+
+    const totalMarks = exam.settings && exam.settings.totalMarks;
+    if (pools.length > 0 && !mixedMarks && Number.isInteger(totalMarks) && totalMarks !== askedMarks) {
+      errors.push({
+        path: '/settings/totalMarks',
+        message: `Total marks is ${totalMarks} but each student's questions are worth ${askedMarks} (unpooled questions plus each pool's draw × its marks)`
+      });
+    }
+
+    if (asked > MAX_ASKED) {
+      errors.push({
+        path: '/questions',
+        message: `Each student would get ${asked} questions; at most ${MAX_ASKED} are allowed (use pools to draw from a larger bank)`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that options are lettered from A with none skipped, that
+   * answers and option images refer to options the question has, and that
+   * an option with empty text has an image
+   * @param {object} exam - Exam data
+   * @returns {array} Error objects
+   */
+  function checkOptionKeys(exam) {
+    if (!exam || !Array.isArray(exam.questions)) {
+      return [];
+    }
+
+    const errors = [];
+    exam.questions.forEach((question, index) => {
+      if (!question.options || typeof question.options !== 'object') return;
+
+      const keys = Object.keys(question.options).sort();
+      const expected = 'ABCDEF'.slice(0, keys.length);
+      if (keys.join('') !== expected) {
+        errors.push({
+          path: `/questions/${index}/options`,
+          message: `Options must be lettered ${expected.split('').join(', ')} with none skipped, got ${keys.join(', ')}`
+        });
+      }
+
+      [].concat(question.correctAnswer).forEach(key => {
+        if (typeof key === 'string' && question.options[key] === undefined) {
+          errors.push({ path: `/questions/${index}/correctAnswer`, message: `Correct answer '${key}' is not one of the options` });
+        }
+      });
+
+      Object.keys(question.optionImages || {}).forEach(key => {
+        if (question.options[key] === undefined) {
+          errors.push({ path: `/questions/${index}/optionImages/${key}`, message: `Image given for option '${key}', which the question does not have` });
+        }
+      });
+
+      keys.forEach(key => {
+        if (question.options[key] === '' && !(question.optionImages && question.optionImages[key])) {
+          errors.push({ path: `/questions/${index}/options/${key}`, message: `Option '${key}' has no text and no image` });
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check that partial-credit weights only sit on existing, wrong options
+   * @param {object} exam - Exam data
+   * @returns {array} Error objects
+   */
+  function checkOptionWeights(exam) {
+    if (!exam || !Array.isArray(exam.questions)) {
+      return [];
+    }
+
+    const errors = [];
+    exam.questions.forEach((question, index) => {
+      // Weights on a question without options are already a schema error
+      if (!question.options || !question.optionWeights || typeof question.optionWeights !== 'object') return;
+      Object.keys(question.optionWeights).forEach(key => {
+        const path = `/questions/${index}/optionWeights/${key}`;
+        if (question.options[key] === undefined) {
+          errors.push({ path, message: `Weighted option '${key}' does not exist` });
+        } else if (key === question.correctAnswer) {
+          errors.push({ path, message: `Option '${key}' is the correct answer and already earns full marks` });
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check math markup in passage, question, option and explanation text (skipped if MathRender isn't loaded)
+   * @param {object} exam - Exam data
+   * @returns {array} Error objects for malformed expressions
+   */
+  function checkMathMarkup(exam) {
+    const renderer = typeof MathRender !== 'undefined' ? MathRender : null;
+    if (!renderer || !exam || !Array.isArray(exam.questions)) {
+      return [];
+    }
+
+    const errors = [];
+    (Array.isArray(exam.passages) ? exam.passages : []).forEach((passage, index) => {
+      if (typeof passage.text !== 'string') return;
+      renderer.validate(passage.text).forEach(message => {
+        errors.push({ path: `/passages/${index}/text`, message: `Invalid math: ${message}` });
+      });
+    });
+
+    exam.questions.forEach((question, index) => {
+      const fields = [['questionText', question.questionText], ['explanation', question.explanation]];
+      Object.keys(question.options || {}).forEach(key => {
+        fields.push([`options/${key}`, question.options[key]]);
+      });
+
+      fields.forEach(([field, text]) => {
+        if (typeof text !== 'string') return;
+        renderer.validate(text).forEach(message => {
+          errors.push({ path: `/questions/${index}/${field}`, message: `Invalid math: ${message}` });
+        });
+      });
+    });
+
+    return errors;
   }
 
   /**
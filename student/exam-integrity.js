@@ -454,6 +454,10 @@ const IntegrityModule = (function () {
             return _state.isSubmitting;
         },
 
+        isWarningVisible: function () {
+            return !!(_warningModal && _warningModal.container.style.display === 'flex');
+        },
+
         destroy: function () {
             if (_state.isActive) {
                 console.log('Destroying Integrity Module...');
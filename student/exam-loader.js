@@ -1,5 +1,28 @@
 // exam-loader.js
-// Sole responsibility: load exam data from URL + fetch JSON
+// Sole responsibility: load exam data from URL + fetch JSON (and the exam's image assets)
+
+import { getAvailability, describeUnavailable } from "./exam-schedule.js";
+
+const EXAMS_BASE = "../exams/";
+const MANIFEST_URL = `${EXAMS_BASE}manifest.json`;
+
+// The manifest entry for an exam file; null if it isn't listed.
+// Rejects if the manifest can't be read, so the caller can refuse the exam.
+export function findManifestEntry(filename) {
+    return fetch(MANIFEST_URL)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to fetch exam list: ${MANIFEST_URL}`);
+            }
+            return response.json();
+        })
+        .then(entries => {
+            if (!Array.isArray(entries)) {
+                throw new Error(`Exam list is not an array: ${MANIFEST_URL}`);
+            }
+            return entries.find(entry => entry.filename === filename) || null;
+        });
+}
 
 export function loadExamFromURL(onSuccess, onError) {
     const params = new URLSearchParams(window.location.search);
@@ -10,20 +33,77 @@ export function loadExamFromURL(onSuccess, onError) {
         return;
     }
 
-    const examPath = `../exams/${examFile}`;
+    const examPath = `${EXAMS_BASE}${examFile}`;
 
-    fetch(examPath)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`Failed to fetch exam file: ${examPath}`);
-            }
-            return response.json();
-        })
-        .then(examData => {
-            onSuccess(examData);
-        })
-        .catch(err => {
-            console.error(err);
-            onError("Unable to load exam file.");
-        });
+    // A link can't get round the manifest's availability window, so an exam
+    // whose window can't be checked isn't opened either
+    findManifestEntry(examFile).then(entry => {
+        const closedReason = entry ? describeUnavailable(getAvailability(entry)) : null;
+        if (closedReason) {
+            onError(closedReason, { closed: true });
+            return;
+        }
+
+        fetch(examPath)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch exam file: ${examPath}`);
+                }
+                return response.json();
+            })
+            .then(examData => {
+                onSuccess(examData);
+            })
+            .catch(err => {
+                console.error(err);
+                onError("Unable to load exam file.");
+            });
+    }, err => {
+        console.error(err);
+        onError("Unable to check when this exam is open, so it can't be started. Please call your invigilator.", { manifestUnavailable: true });
+    });
+}
+
+// Image paths in exam files are relative to the /exams folder
+export function resolveExamAsset(src) {
+    return `${EXAMS_BASE}${src}`;
+}
+
+// List every image referenced by the exam's questions and options
+export function collectExamImages(examData) {
+    const sources = new Set();
+    (examData.questions || []).forEach(q => {
+        if (q.image) sources.add(q.image.src);
+        Object.values(q.optionImages || {}).forEach(img => sources.add(img.src));
+    });
+    return [...sources];
+}
+
+// Download all exam images before the timer starts, so a slow network can't eat into exam time.
+// Resolves once every image is loaded; rejects with the list of images that failed.
+export function preloadExamImages(examData, onProgress) {
+    const sources = collectExamImages(examData);
+    let done = 0;
+    const failed = [];
+
+    if (onProgress) onProgress(0, sources.length);
+
+    const loads = sources.map(src => new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => resolve();
+        img.onerror = () => {
+            failed.push(src);
+            resolve();
+        };
+        img.src = resolveExamAsset(src);
+    }).then(() => {
+        done++;
+        if (onProgress) onProgress(done, sources.length);
+    }));
+
+    return Promise.all(loads).then(() => {
+        if (failed.length > 0) {
+            throw new Error(`Could not load ${failed.length} image(s): ${failed.join(", ")}`);
+        }
+    });
 }
@@ -0,0 +1,161 @@
+// exam-schedule.js
+// Sole responsibility: decide whether a manifest entry is open right now.
+//
+// Manifest entries may carry (all optional, times are the lab computer's local time):
+//   "opensAt":  "2025-01-20T09:00"           first moment the exam can be started
+//   "closesAt": "2025-01-20T11:30"           no starts after this
+//   "allowedDays":  ["Mon", "Wed"]           only on these weekdays (any case; "Monday" also works)
+//   "allowedTimes": { "from": "08:00", "to": "14:00" }   only during these hours;
+//                   "to" before "from" is a window that runs past midnight
+// A field that can't be read makes the exam unavailable rather than unlimited.
+
+const FULL_DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const LOOKAHEAD_DAYS = 14; // How far ahead to search for the next allowed day
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Weekday number for "Mon", "mon" or "Monday"; -1 if it isn't a day name
+function dayIndex(name) {
+    const lower = String(name).trim().toLowerCase();
+    return FULL_DAY_NAMES.findIndex(day => lower === day || lower === day.slice(0, 3));
+}
+
+// Problems with an entry's schedule fields, for the admin and the student; empty if it reads fine
+export function checkSchedule(entry) {
+    const problems = [];
+    ["opensAt", "closesAt"].forEach(field => {
+        const value = entry[field];
+        if (value !== undefined && value !== null && value !== "" &&
+            !(typeof value === "string" && DATE_PATTERN.test(value) && parseDate(value))) {
+            problems.push(`${field} "${value}" is not a date and time like 2025-01-20T09:00`);
+        }
+    });
+    if (entry.allowedDays !== undefined) {
+        if (!Array.isArray(entry.allowedDays)) {
+            problems.push('allowedDays must be a list of days, e.g. ["Mon", "Wed"]');
+        } else {
+            entry.allowedDays.filter(day => dayIndex(day) === -1).forEach(day => {
+                problems.push(`allowedDays: "${day}" is not a day (use Mon, Tue, Wed, Thu, Fri, Sat or Sun)`);
+            });
+        }
+    }
+    if (entry.allowedTimes !== undefined) {
+        const times = entry.allowedTimes || {};
+        if (!TIME_PATTERN.test(times.from) || !TIME_PATTERN.test(times.to)) {
+            problems.push('allowedTimes needs both "from" and "to" as HH:MM, e.g. { "from": "08:00", "to": "14:00" }');
+        } else if (times.from === times.to) {
+            problems.push(`allowedTimes "from" and "to" are both ${times.from}`);
+        }
+    }
+    return problems;
+}
+
+// "HH:MM" on the same day as `day`
+function atTime(day, hhmm) {
+    const [h, m] = hhmm.split(":").map(Number);
+    const date = new Date(day);
+    date.setHours(h, m, 0, 0);
+    return date;
+}
+
+// The allowed window starting on a day, or null if the exam can't be taken that day.
+// An overnight window belongs to the day it starts on.
+function dailyWindow(entry, day) {
+    if (Array.isArray(entry.allowedDays) && entry.allowedDays.length > 0 &&
+        !entry.allowedDays.some(name => dayIndex(name) === day.getDay())) {
+        return null;
+    }
+    if (entry.allowedTimes) {
+        const start = atTime(day, entry.allowedTimes.from);
+        const end = atTime(day, entry.allowedTimes.to);
+        if (end <= start) end.setDate(end.getDate() + 1);
+        return { start, end };
+    }
+    const start = new Date(day);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end };
+}
+
+/**
+ * Work out a manifest entry's availability.
+ * Returns { status, opensAt, closesAt }:
+ *   status "open" (closesAt: when this window ends, or null),
+ *   "upcoming" (opensAt: next start), "closed" (no window left), "inactive" (active: false)
+ *   or "invalid" (problems: schedule fields that can't be read, see checkSchedule)
+ */
+export function getAvailability(entry, now = new Date()) {
+    if (entry.active === false) {
+        return { status: "inactive", opensAt: null, closesAt: null };
+    }
+
+    const problems = checkSchedule(entry);
+    if (problems.length > 0) {
+        return { status: "invalid", opensAt: null, closesAt: null, problems };
+    }
+
+    const opensAt = parseDate(entry.opensAt);
+    const closesAt = parseDate(entry.closesAt);
+    const restricted = (Array.isArray(entry.allowedDays) && entry.allowedDays.length > 0) || !!entry.allowedTimes;
+
+    if (closesAt && now >= closesAt) {
+        return { status: "closed", opensAt: null, closesAt };
+    }
+
+    // Search day by day from the later of now/opensAt for the first usable window
+    // (starting with the day before, whose overnight window may still be open)
+    const from = opensAt && opensAt > now ? opensAt : now;
+    for (let i = restricted ? -1 : 0; i <= LOOKAHEAD_DAYS; i++) {
+        const day = new Date(from);
+        day.setDate(day.getDate() + i);
+        const window = restricted ? dailyWindow(entry, day) : { start: from, end: null };
+        if (!window) continue;
+
+        const start = window.start > from ? window.start : from;
+        let end = window.end;
+        if (closesAt && (!end || closesAt < end)) end = closesAt;
+        if (end && start >= end) continue;
+
+        if (start <= now) {
+            return { status: "open", opensAt: null, closesAt: end };
+        }
+        return { status: "upcoming", opensAt: start, closesAt: end };
+    }
+
+    return { status: "closed", opensAt: null, closesAt };
+}
+
+// Compact countdown: "2d 4h", "3h 05m", "4m 09s"
+export function formatCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const d = Math.floor(total / 86400);
+    const h = Math.floor((total % 86400) / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (d > 0) return `${d}d ${h}h`;
+    if (h > 0) return `${h}h ${String(m).padStart(2, "0")}m`;
+    return `${m}m ${String(s).padStart(2, "0")}s`;
+}
+
+// Why an exam can't be started now, for the student; null if it can
+export function describeUnavailable(availability, now = new Date()) {
+    switch (availability.status) {
+        case "open":
+            return null;
+        case "upcoming":
+            return `This exam opens in ${formatCountdown(availability.opensAt - now)} (${availability.opensAt.toLocaleString()}).`;
+        case "closed":
+            return "This exam is closed.";
+        case "invalid":
+            return `This exam can't be started because its schedule in the exam list is wrong (${availability.problems.join("; ")}). Please call your invigilator.`;
+        default:
+            return "This exam is not available.";
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * SchoolCBT Result Outbox
+ * Keeps every finished result in IndexedDB until it has been sent to the
+ * results webhook, and keeps retrying (on load, when the browser comes back
+ * online, and on a timer) so no script is lost to a flaky network.
+ *
+ * Sends use SheetsSubmitter, which posts with no-cors: "delivered" means the
+ * request went out without a network error. A result can therefore be sent
+ * twice (e.g. the tab closed between sending and removing it); the sheet can
+ * de-duplicate on submissionId.
+ *
+ * A result queued without a webhook URL (e.g. one moved over from an older
+ * version's localStorage) is never sent automatically: the submitter's
+ * configured URL belongs to whichever exam ran last, which may not be this
+ * result's. It waits for a manual resend from the admin recovery page.
+ *
+ * @version 1.0.0
+ */
+
+const ResultOutbox = (function () {
+    const DB_NAME = 'school_cbt';
+    const DB_VERSION = 1;
+    const STORE = 'outbox';
+    const LEGACY_PREFIX = 'exam_result_'; // Old localStorage fallback, one key per result
+
+    let _config = {
+        retryInterval: 60000 // ms
+    };
+
+    let _dbPromise = null;
+    let _flushPromise = null;
+    let _timerId = null;
+    let _listeners = [];
+
+    /**
+     * Open (once) the outbox database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDb() {
+        if (_dbPromise) return _dbPromise;
+
+        _dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'submissionId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call try again instead of caching the failure
+        _dbPromise.catch(() => {
+            _dbPromise = null;
+        });
+        return _dbPromise;
+    }
+
+    /**
+     * Run one request against the outbox store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise<*>} - The request's result, once the transaction commits
+     */
+    async function withStore(mode, action) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = action(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Queue a finished result. Resolves once it is safely stored.
+     * @param {Object} resultData - Data conforming to results.schema.json
+     * @param {string} webhookUrl - Where to send it (empty: hold it for a manual resend)
+     * @returns {Promise<void>}
+     */
+    async function enqueue(resultData, webhookUrl) {
+        await withStore('readwrite', store => store.put({
+            submissionId: resultData.submissionId,
+            result: resultData,
+            webhookUrl: webhookUrl || '',
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastAttemptAt: null,
+            lastError: null
+        }));
+        notify();
+    }
+
+    /**
+     * All queued records, oldest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async function getAll() {
+        const records = await withStore('readonly', store => store.getAll());
+        return records.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    /**
+     * Number of results still waiting to be sent
+     * @returns {Promise<number>}
+     */
+    function count() {
+        return withStore('readonly', store => store.count());
+    }
+
+    /**
+     * Drop one result from the outbox
+     * @param {string} submissionId
+     * @returns {Promise<void>}
+     */
+    async function remove(submissionId) {
+        await withStore('readwrite', store => store.delete(submissionId));
+        notify();
+    }
+
+    /**
+     * Try to send every queued result that records its webhook; sent ones are
+     * removed. Concurrent calls share the same pass.
+     * @returns {Promise<Object>} - { sent, pending }
+     */
+    function flush() {
+        if (_flushPromise) return _flushPromise;
+
+        _flushPromise = (async () => {
+            let sent = 0;
+            const records = await getAll();
+
+            for (const record of records) {
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) break;
+                if (!record.webhookUrl) continue;
+
+                // The outbox does its own retrying, so one attempt per pass is enough
+                const response = await SheetsSubmitter.submit(record.result, {
+                    webhookUrl: record.webhookUrl,
+                    maxRetries: 1
+                });
+
+                if (response.success) {
+                    await withStore('readwrite', store => store.delete(record.submissionId));
+                    sent++;
+                } else {
+                    record.attempts++;
+                    record.lastAttemptAt = response.timestamp;
+                    record.lastError = response.error;
+                    await withStore('readwrite', store => store.put(record));
+                }
+            }
+
+            const pending = await count();
+            return { sent, pending };
+        })();
+
+        _flushPromise
+            .catch(err => console.warn('[Outbox] Flush failed:', err))
+            .then(() => {
+                _flushPromise = null;
+                notify();
+            });
+        return _flushPromise;
+    }
+
+    // Background retries: failures are already logged by flush()
+    function retry() {
+        flush().catch(() => {});
+    }
+
+    /**
+     * Move results saved by older versions (localStorage) into the outbox
+     * @returns {Promise<number>} - How many were moved
+     */
+    async function migrateLegacy() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(LEGACY_PREFIX)) keys.push(key);
+        }
+
+        let moved = 0;
+        for (const key of keys) {
+            try {
+                const result = JSON.parse(localStorage.getItem(key));
+                if (result && result.submissionId) {
+                    await enqueue(result, '');
+                    moved++;
+                }
+                localStorage.removeItem(key);
+            } catch (err) {
+                console.warn(`[Outbox] Could not migrate ${key}:`, err);
+            }
+        }
+        return moved;
+    }
+
+    /**
+     * Register a callback for changes to the pending count
+     * @param {Function} callback - (pendingCount) => void
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            _listeners.push(callback);
+        }
+    }
+
+    function notify() {
+        count()
+            .then(pending => _listeners.forEach(cb => cb(pending)))
+            .catch(err => console.warn('[Outbox] Could not count pending results:', err));
+    }
+
+    /**
+     * Start background delivery: migrate old results, send now, then
+     * again whenever the browser comes online and every retryInterval.
+     * @param {Object} [config] - { retryInterval: ms }
+     */
+    function start(config = {}) {
+        if (config.retryInterval !== undefined) {
+            _config.retryInterval = config.retryInterval;
+        }
+        if (_timerId) return;
+
+        migrateLegacy()
+            .catch(err => console.warn('[Outbox] Legacy migration failed:', err))
+            .then(retry);
+
+        window.addEventListener('online', retry);
+        _timerId = setInterval(retry, _config.retryInterval);
+    }
+
+    // Public API
+    return {
+        start,
+        enqueue,
+        flush,
+        getAll,
+        count,
+        remove,
+        onChange,
+        migrateLegacy
+    };
+})();
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultOutbox;
+} else {
+    window.ResultOutbox = ResultOutbox;
+}
@@ -4,7 +4,8 @@
 */
 
 // STATE MANAGEMENT
-import { loadExamFromURL } from "./exam-loader.js";
+import { loadExamFromURL, preloadExamImages, resolveExamAsset } from "./exam-loader.js";
+import { getAvailability, describeUnavailable, formatCountdown } from "./exam-schedule.js";
 
 const state = {
     student: {
@@ -16,9 +17,18 @@ const state = {
     exam: null,
     currentQIndex: 0,
     answers: {},
+    flagged: {},
+    presentation: null,
     timeLeft: 0,
     timerId: null,
     isSubmitted: false,
+    examKey: null, // Opens a sealed answer key (encrypted exams); never saved
+    reviewMode: false,
+    gradedAnswers: {},
+    preferences: {
+        textSize: 'normal',
+        highContrast: false
+    },
     timing: {
         startedAt: null,
         submittedAt: null,
@@ -41,7 +51,10 @@ const DOM = {
         inputSeat: document.getElementById('student-seat'),
         examSelect: document.getElementById('exam-select'),
         examLoadingHint: document.getElementById('exam-loading-hint'),
-        errorMsg: document.getElementById('login-error')
+        errorMsg: document.getElementById('login-error'),
+        outbox: document.getElementById('outbox-indicator'),
+        outboxCount: document.getElementById('outbox-count'),
+        btnOutboxRetry: document.getElementById('btn-outbox-retry')
     },
     exam: {
         displayName: document.getElementById('display-name'),
@@ -51,70 +64,73 @@ const DOM = {
         progressBar: document.getElementById('progress-bar-fill'),
         qNum: document.getElementById('current-q-num'),
         qTotal: document.getElementById('total-q-num'),
+        main: document.getElementById('exam-main'),
+        passagePanel: document.getElementById('passage-panel'),
+        passageTitle: document.getElementById('passage-title'),
+        passageText: document.getElementById('passage-text'),
         text: document.getElementById('question-text'),
+        media: document.getElementById('question-media'),
         optionsContainer: document.getElementById('options-container'),
+        feedback: document.getElementById('answer-feedback'),
         answeredCount: document.getElementById('answered-count'),
         unansweredCount: document.getElementById('unanswered-count'),
+        flaggedCount: document.getElementById('flagged-count'),
         palette: document.getElementById('question-palette'),
         btnPrev: document.getElementById('btn-prev'),
         btnNext: document.getElementById('btn-next'),
         btnSkip: document.getElementById('btn-skip'),
+        btnFlag: document.getElementById('btn-flag'),
+        btnFlagLabel: document.getElementById('btn-flag-label'),
         btnFinish: document.getElementById('btn-finish')
     },
     modal: {
         overlay: document.getElementById('modal-overlay'),
         warning: document.getElementById('modal-warning'),
         unansweredCount: document.getElementById('modal-unanswered'),
+        flagged: document.getElementById('modal-flagged'),
+        flaggedCount: document.getElementById('modal-flagged-count'),
         btnCancel: document.getElementById('btn-modal-cancel'),
         btnConfirm: document.getElementById('btn-modal-confirm')
     },
+    passcode: {
+        overlay: document.getElementById('passcode-overlay'),
+        form: document.getElementById('passcode-form'),
+        message: document.getElementById('passcode-message'),
+        input: document.getElementById('passcode-input'),
+        error: document.getElementById('passcode-error'),
+        btnCancel: document.getElementById('btn-passcode-cancel'),
+        btnUnlock: document.getElementById('btn-passcode-unlock')
+    },
+    review: {
+        overlay: document.getElementById('review-overlay'),
+        summary: document.getElementById('review-summary'),
+        list: document.getElementById('review-list'),
+        btnBack: document.getElementById('btn-review-back'),
+        btnSubmit: document.getElementById('btn-review-submit')
+    },
     results: {
         name: document.getElementById('res-student-name'),
         subject: document.getElementById('res-subject'),
         total: document.getElementById('res-total'),
-        score: document.getElementById('res-score')
+        score: document.getElementById('res-score'),
+        topics: document.getElementById('res-topics'),
+        topicRows: document.getElementById('res-topic-rows'),
+        btnReview: document.getElementById('btn-review-answers')
     },
+    a11y: {
+        status: document.getElementById('sr-status'),
+        alert: document.getElementById('sr-alert'),
+        textSize: document.getElementById('text-size-select'),
+        btnContrast: document.getElementById('btn-high-contrast')
+    }
 };
 
 // PERSISTENCE SETTINGS
 const STORAGE_KEY = 'school_cbt_active_session';
 
-// --- UTILITY FUNCTIONS ---
-/**
- * Fisher-Yates shuffle algorithm
- */
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-}
-
-/**
- * Shuffle question options while tracking correct answer
- */
-function shuffleOptions(options, correctAnswer) {
-    const optionKeys = ['A', 'B', 'C', 'D'];
-    const optionPairs = optionKeys.map(key => ({ key, value: options[key] }));
-    const shuffled = shuffleArray(optionPairs);
-
-    const newOptions = {};
-    let newCorrectAnswer = correctAnswer;
-
-    shuffled.forEach((pair, index) => {
-        const newKey = optionKeys[index];
-        newOptions[newKey] = pair.value;
-
-        // Track where the correct answer moved to
-        if (pair.key === correctAnswer) {
-            newCorrectAnswer = newKey;
-        }
-    });
-
-    return { options: newOptions, correctAnswer: newCorrectAnswer };
-}
+// ACCESSIBILITY SETTINGS
+const TEXT_SIZES = ['normal', 'large', 'x-large'];
+const TIMER_ANNOUNCEMENTS = [1800, 900, 600, 300, 120, 60, 30]; // Seconds left worth announcing
 
 // --- SHARED VALIDATOR INIT ---
 try {
@@ -169,10 +185,12 @@ function filterExamsByClass(selectedClass) {
         return;
     }
 
-    // Filter exams by class
-    const filteredExams = manifestData.filter(exam =>
-        exam.active !== false && exam.class === selectedClass
-    );
+    // Filter exams by class; closed ones are hidden, not-yet-open ones and ones with
+    // a broken schedule are shown greyed out
+    const filteredExams = manifestData.filter(exam => {
+        const status = getAvailability(exam).status;
+        return exam.class === selectedClass && ['open', 'upcoming', 'invalid'].includes(status);
+    });
 
     select.innerHTML = '<option value="" disabled selected>Select an Exam...</option>';
 
@@ -190,15 +208,85 @@ function filterExamsByClass(selectedClass) {
             select.appendChild(option);
         });
         select.disabled = false;
-        DOM.login.examLoadingHint.textContent = `${filteredExams.length} exam(s) available for ${selectedClass}`;
-        DOM.login.examLoadingHint.style.color = "#059669";
-        DOM.login.examLoadingHint.hidden = false;
+        updateExamAvailability();
     }
 }
 
+// Grey out exams outside their window, with a countdown to when they open.
+// Runs every second while the login screen is showing.
+function updateExamAvailability() {
+    const select = DOM.login.examSelect;
+    const selectedClass = DOM.login.inputClass.value;
+    if (select.disabled || !selectedClass) return;
+
+    const now = new Date();
+    let openCount = 0;
+    let upcomingCount = 0;
+    let invalidCount = 0;
+
+    Array.from(select.options).forEach(option => {
+        const exam = manifestData.find(entry => entry.filename === option.value);
+        if (!exam) return;
+
+        const availability = getAvailability(exam, now);
+        if (availability.status === 'open') {
+            openCount++;
+            option.disabled = false;
+            option.textContent = availability.closesAt
+                ? `${exam.title} (closes in ${formatCountdown(availability.closesAt - now)})`
+                : exam.title;
+        } else {
+            if (availability.status === 'upcoming') upcomingCount++;
+            option.disabled = true;
+            if (availability.status === 'upcoming') {
+                option.textContent = `${exam.title} (opens in ${formatCountdown(availability.opensAt - now)})`;
+            } else if (availability.status === 'invalid') {
+                invalidCount++;
+                option.textContent = `${exam.title} (schedule error, ask your invigilator)`;
+                option.title = describeUnavailable(availability, now);
+            } else {
+                option.textContent = `${exam.title} (closed)`;
+            }
+            if (option.selected) select.value = '';
+        }
+    });
+
+    let hint = `${openCount} exam(s) available for ${selectedClass}`;
+    if (upcomingCount > 0) hint += `, ${upcomingCount} opening later`;
+    if (invalidCount > 0) hint += `, ${invalidCount} with a schedule error (ask your invigilator)`;
+    DOM.login.examLoadingHint.textContent = hint;
+    DOM.login.examLoadingHint.style.color = openCount > 0 ? "#059669" : "#6b7280";
+    DOM.login.examLoadingHint.hidden = false;
+}
+
+setInterval(() => {
+    if (DOM.screens.login.classList.contains('active')) updateExamAvailability();
+}, 1000);
+
 // Auto-load manifest
 loadManifest();
 
+// --- RESULT OUTBOX ---
+// Results that haven't reached the sheet yet; shown on the login screen for invigilators
+function renderOutboxIndicator(pending) {
+    DOM.login.outbox.hidden = pending === 0;
+    DOM.login.outboxCount.textContent = pending;
+}
+
+if (typeof ResultOutbox !== 'undefined') {
+    ResultOutbox.onChange(renderOutboxIndicator);
+    ResultOutbox.start();
+
+    DOM.login.btnOutboxRetry.addEventListener('click', () => {
+        DOM.login.btnOutboxRetry.disabled = true;
+        ResultOutbox.flush()
+            .catch(err => console.warn('Outbox retry failed:', err))
+            .then(() => {
+                DOM.login.btnOutboxRetry.disabled = false;
+            });
+    });
+}
+
 // Listen for class selection changes
 DOM.login.inputClass.addEventListener('change', (e) => {
     filterExamsByClass(e.target.value);
@@ -226,6 +314,15 @@ function handleLogin(e) {
         return;
     }
 
+    // The window may have closed since the list was drawn
+    const manifestEntry = manifestData.find(entry => entry.filename === filename);
+    const closedReason = manifestEntry ? describeUnavailable(getAvailability(manifestEntry)) : null;
+    if (closedReason) {
+        showError(closedReason);
+        updateExamAvailability();
+        return;
+    }
+
     // Show loading state
     const btn = DOM.login.form.querySelector('button');
     const originalText = btn.textContent;
@@ -237,13 +334,18 @@ function handleLogin(e) {
             if (!response.ok) throw new Error("Failed to download exam file.");
             return response.json();
         })
-        .then(json => {
-            if (validateExam(json)) {
-                startExam(json);
-            } else {
+        .then(json => openExamFile(json))
+        .then(({ exam, unlocked }) => {
+            if (!validateExam(exam)) {
                 btn.textContent = originalText;
                 btn.disabled = false;
+                return;
             }
+
+            // Download diagrams before the timer starts
+            return preloadExamImages(exam, (loaded, total) => {
+                if (total > 0) btn.textContent = `Loading Images (${loaded}/${total})...`;
+            }).then(() => startExam(exam, unlocked));
         })
         .catch(err => {
             showError("Failed to load exam: " + err.message);
@@ -252,6 +354,93 @@ function handleLogin(e) {
         });
 }
 
+// --- ENCRYPTED EXAMS ---
+/**
+ * Ask the invigilator for the passcode until unlock(passcode) succeeds.
+ * Resolves with unlock's result; rejects if cancelled.
+ */
+function promptPasscode(message, unlock) {
+    return new Promise((resolve, reject) => {
+        const close = () => {
+            DOM.passcode.overlay.hidden = true;
+            DOM.passcode.input.value = '';
+            DOM.passcode.form.onsubmit = null;
+            DOM.passcode.btnCancel.onclick = null;
+        };
+
+        DOM.passcode.form.onsubmit = (e) => {
+            e.preventDefault();
+            DOM.passcode.btnUnlock.disabled = true;
+            unlock(DOM.passcode.input.value)
+                .then(result => {
+                    close();
+                    resolve(result);
+                })
+                .catch(err => {
+                    DOM.passcode.error.textContent = err.message;
+                    DOM.passcode.error.hidden = false;
+                    DOM.passcode.input.select();
+                })
+                .finally(() => {
+                    DOM.passcode.btnUnlock.disabled = false;
+                });
+        };
+
+        DOM.passcode.btnCancel.onclick = () => {
+            close();
+            reject(new Error('Passcode entry cancelled.'));
+        };
+
+        DOM.passcode.message.textContent = message;
+        DOM.passcode.error.hidden = true;
+        DOM.passcode.overlay.hidden = false;
+        DOM.passcode.input.focus();
+    });
+}
+
+function checkCryptoSupport() {
+    if (typeof ExamCrypto === 'undefined' || !ExamCrypto.isSupported()) {
+        throw new Error("This exam is encrypted, but this browser can't decrypt it here. Open the exam from the school server (https:// or localhost).");
+    }
+}
+
+/**
+ * Decrypt an encrypted exam package once the invigilator enters the passcode;
+ * plain exam files pass straight through
+ * @returns {Promise<Object>} - { exam, unlocked } (unlocked: { key, kdf } for encrypted exams, else null)
+ */
+function openExamFile(json) {
+    if (typeof ExamCrypto === 'undefined' || !ExamCrypto.isEncryptedPackage(json)) {
+        return Promise.resolve({ exam: json, unlocked: null });
+    }
+
+    return Promise.resolve()
+        .then(checkCryptoSupport)
+        .then(() => promptPasscode(
+            'This exam is locked. Ask your invigilator to enter the passcode.',
+            passcode => ExamCrypto.decryptExam(json, passcode)
+        ))
+        .then(({ exam, key, kdf }) => ({ exam, unlocked: { key, kdf } }));
+}
+
+/**
+ * A saved session of an encrypted exam holds only the sealed answer key;
+ * the passcode is needed again to grade it
+ * @returns {Promise<CryptoKey|null>}
+ */
+function unlockSavedExam(exam) {
+    if (!exam.answerKey) {
+        return Promise.resolve(null);
+    }
+
+    return Promise.resolve()
+        .then(checkCryptoSupport)
+        .then(() => promptPasscode(
+            'Resuming a locked exam. Ask your invigilator to enter the passcode.',
+            passcode => ExamCrypto.unlockSealedExam(exam, passcode)
+        ));
+}
+
 function showError(msg) {
     DOM.login.errorMsg.textContent = msg;
     DOM.login.errorMsg.hidden = false;
@@ -286,6 +475,9 @@ function saveActiveState() {
         exam: state.exam,
         currentQIndex: state.currentQIndex,
         answers: state.answers,
+        flagged: state.flagged,
+        presentation: state.presentation,
+        preferences: state.preferences,
         timeLeft: state.timeLeft,
         timing: state.timing
     };
@@ -322,14 +514,28 @@ function initResumeDetection() {
                 alertBox.hidden = false;
 
                 btnResume.onclick = () => {
-                    try {
-                        resumeExam(parsed);
-                    } catch (err) {
-                        console.error("Failed to resume:", err);
-                        alert("Failed to resume exam. Data might be corrupted. Starting new.");
-                        clearActiveState();
-                        location.reload();
-                    }
+                    btnResume.disabled = true;
+
+                    unlockSavedExam(parsed.exam)
+                        .then(examKey => {
+                            // Re-fetch diagrams before the timer resumes; a failure shouldn't block a started exam
+                            return preloadExamImages(parsed.exam)
+                                .catch(err => console.warn("Image preload before resume failed:", err.message))
+                                .then(() => {
+                                    try {
+                                        resumeExam(parsed, examKey);
+                                    } catch (err) {
+                                        console.error("Failed to resume:", err);
+                                        alert("Failed to resume exam. Data might be corrupted. Starting new.");
+                                        clearActiveState();
+                                        location.reload();
+                                    }
+                                });
+                        })
+                        .catch(err => {
+                            showError(err.message);
+                            btnResume.disabled = false;
+                        });
                 };
 
                 if (btnDismiss) {
@@ -351,18 +557,23 @@ function initResumeDetection() {
     }
 }
 
-function resumeExam(savedState) {
+function resumeExam(savedState, examKey = null) {
     state.examStartedManually = true;
+    state.examKey = examKey;
 
     // Restore State
     state.student = savedState.student;
     state.exam = savedState.exam;
     state.currentQIndex = savedState.currentQIndex || 0;
     state.answers = savedState.answers || {};
+    state.flagged = savedState.flagged || {};
+    state.presentation = savedState.presentation || null;
+    state.preferences = Object.assign({}, state.preferences, savedState.preferences);
     state.timeLeft = savedState.timeLeft;
     state.timing = savedState.timing;
 
     // UI Setup
+    applyPreferences();
     updateHeader();
     renderPalette();
     loadQuestion(state.currentQIndex);
@@ -383,6 +594,13 @@ function resumeExam(savedState) {
         });
     }
 
+    // Sheets submitter config isn't part of the saved session
+    if (typeof SheetsSubmitter !== 'undefined' && state.exam.settings.webhookUrl) {
+        SheetsSubmitter.configure({
+            webhookUrl: state.exam.settings.webhookUrl
+        });
+    }
+
     // CRITICAL FIX: Properly switch screens
     switchToScreen('exam');
 }
@@ -404,28 +622,40 @@ function switchToScreen(screenName) {
     if (targetScreen) {
         targetScreen.classList.add('active');
         targetScreen.removeAttribute('hidden'); // CRITICAL: Remove the hidden attribute
+
+        // A CSS toggle alone is silent to screen readers; move focus into the new screen
+        if (screenName === 'exam') {
+            focusQuestion();
+        } else {
+            const heading = targetScreen.querySelector('h1, h2');
+            if (heading) heading.focus();
+        }
     }
 }
 
 // --- EXAM LOGIC ---
-function startExam(examData) {
+async function startExam(examData, unlocked = null) {
     state.exam = examData;
     state.answers = {};
+    state.flagged = {};
     state.currentQIndex = 0;
 
-    // Shuffle questions if enabled
-    if (examData.settings.shuffleQuestions) {
-        state.exam.questions = shuffleArray([...examData.questions]);
-        console.log('[Exam] Questions shuffled for this student');
-    }
-
-    // Shuffle options if enabled
-    if (examData.settings.shuffleOptions) {
-        state.exam.questions = state.exam.questions.map(q => {
-            const shuffledOptions = shuffleOptions(q.options, q.correctAnswer);
-            return { ...q, options: shuffledOptions.options, correctAnswer: shuffledOptions.correctAnswer };
-        });
-        console.log('[Exam] Options shuffled for each question');
+    // Draw from question pools and shuffle questions/options with a seed tied
+    // to this student, so the exact questions and order can be recorded in
+    // the result and replayed later. The saved session keeps the drawn
+    // questions, so resuming never draws again.
+    const seed = Shuffle.deriveSeed(examData.examId, state.student.seatNumber);
+    const shuffled = Shuffle.applyToExam(examData, seed);
+    state.exam.questions = shuffled.questions;
+    state.presentation = shuffled.presentation;
+    console.log(`[Exam] Presentation order prepared (seed ${seed})`);
+
+    // Encrypted exam: from here until grading the (shuffled) answer key stays
+    // encrypted, both in memory and in the saved session
+    state.examKey = null;
+    if (unlocked) {
+        state.exam = await ExamCrypto.sealAnswers(state.exam, unlocked.key, unlocked.kdf);
+        state.examKey = unlocked.key;
     }
 
     // Initialize Metadata
@@ -478,6 +708,7 @@ function updateHeader() {
     DOM.exam.className.textContent = state.student.class;
     DOM.exam.subject.textContent = state.exam.metadata.subject;
     DOM.exam.qTotal.textContent = state.exam.questions.length;
+    updateStats();
 }
 
 function startTimer() {
@@ -485,6 +716,7 @@ function startTimer() {
     state.timerId = setInterval(() => {
         state.timeLeft--;
         updateTimerDisplay();
+        announceTimeAtIntervals();
 
         if (state.timeLeft % 5 === 0) {
             saveActiveState();
@@ -503,10 +735,84 @@ function updateTimerDisplay() {
     DOM.exam.timer.textContent = `${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
 
     if (state.timeLeft < 300) {
-        DOM.exam.timer.parentElement.style.backgroundColor = '#ef4444';
+        DOM.exam.timer.parentElement.classList.add('timer-low');
+    }
+}
+
+function describeTimeLeft() {
+    const m = Math.floor(state.timeLeft / 60);
+    const s = state.timeLeft % 60;
+    const parts = [];
+    if (m > 0) parts.push(`${m} minute${m === 1 ? '' : 's'}`);
+    if (s > 0 || m === 0) parts.push(`${s} second${s === 1 ? '' : 's'}`);
+    return `${parts.join(' ')} remaining`;
+}
+
+function announceTimeAtIntervals() {
+    if (TIMER_ANNOUNCEMENTS.includes(state.timeLeft)) {
+        // The last minutes interrupt; earlier checkpoints wait for the reader to finish
+        announce(describeTimeLeft(), state.timeLeft <= 120);
+    }
+}
+
+// --- SCREEN READER ANNOUNCEMENTS ---
+let lastAnnouncedQIndex = null;
+
+/**
+ * Speak a message through the live regions.
+ * Clearing first makes a repeat of the same text announce again.
+ */
+function announce(message, urgent = false) {
+    const region = urgent ? DOM.a11y.alert : DOM.a11y.status;
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+function announceQuestion(index) {
+    const q = state.exam.questions[index];
+    const details = [`Question ${index + 1} of ${state.exam.questions.length}`];
+    if (q.passageId) details.push('with reading passage');
+    if (state.reviewMode) {
+        const graded = state.gradedAnswers[q.questionId];
+        if (graded && graded.isCorrect) {
+            details.push('correct');
+        } else {
+            details.push(graded && graded.marksAwarded > 0 ? 'partly correct' : 'not correct');
+        }
+    } else {
+        if (Scoring.isAnswered(state.answers[q.questionId])) details.push('answered');
+        if (state.flagged[q.questionId]) details.push('flagged for review');
     }
+    announce(details.join(', '));
+}
+
+// --- DISPLAY PREFERENCES ---
+function applyPreferences() {
+    const prefs = state.preferences;
+    if (!TEXT_SIZES.includes(prefs.textSize)) prefs.textSize = 'normal';
+
+    document.documentElement.classList.toggle('text-large', prefs.textSize === 'large');
+    document.documentElement.classList.toggle('text-x-large', prefs.textSize === 'x-large');
+    document.body.classList.toggle('high-contrast', prefs.highContrast === true);
+
+    DOM.a11y.textSize.value = prefs.textSize;
+    DOM.a11y.btnContrast.setAttribute('aria-pressed', String(prefs.highContrast === true));
 }
 
+DOM.a11y.textSize.addEventListener('change', (e) => {
+    state.preferences.textSize = e.target.value;
+    applyPreferences();
+    saveActiveState();
+});
+
+DOM.a11y.btnContrast.addEventListener('click', () => {
+    state.preferences.highContrast = !state.preferences.highContrast;
+    applyPreferences();
+    saveActiveState();
+});
+
 // --- QUESTION NAVIGATION ---
 function loadQuestion(index) {
     if (index < 0 || index >= state.exam.questions.length) return;
@@ -514,6 +820,12 @@ function loadQuestion(index) {
     state.currentQIndex = index;
     const q = state.exam.questions[index];
 
+    // Re-renders after answering stay quiet; only moving to another question is announced
+    if (index !== lastAnnouncedQIndex) {
+        announceQuestion(index);
+        lastAnnouncedQIndex = index;
+    }
+
     // Update Counters
     DOM.exam.qNum.textContent = index + 1;
 
@@ -521,26 +833,110 @@ function loadQuestion(index) {
     const percent = ((index + 1) / state.exam.questions.length) * 100;
     DOM.exam.progressBar.style.width = `${percent}%`;
 
+    // Render Passage (shared by a group of questions)
+    renderPassage(q.passageId);
+
     // Render Text
-    DOM.exam.text.textContent = q.questionText;
+    MathRender.renderInto(DOM.exam.text, q.questionText);
+
+    // Render Question Image
+    DOM.exam.media.innerHTML = '';
+    if (q.image) {
+        DOM.exam.media.appendChild(createExamImage(q.image, 'question-image'));
+    }
 
     // Render Options
     DOM.exam.optionsContainer.innerHTML = '';
     const currentAnswer = state.answers[q.questionId];
+    const isMultiple = q.type === 'multiple';
 
-    ['A', 'B', 'C', 'D'].forEach(optKey => {
-        if (q.options[optKey]) {
+    if (Scoring.isTyped(q)) {
+        renderTypedAnswer(q, currentAnswer);
+    }
+
+    if (isMultiple) {
+        const hint = document.createElement('div');
+        hint.className = 'options-hint';
+        hint.id = 'options-hint';
+        hint.textContent = 'Select all that apply.';
+        DOM.exam.optionsContainer.appendChild(hint);
+    }
+
+    // Options read as a radio group (a checkbox group for multiple answers)
+    if (q.options) {
+        DOM.exam.optionsContainer.setAttribute('role', isMultiple ? 'group' : 'radiogroup');
+        DOM.exam.optionsContainer.setAttribute('aria-labelledby', 'question-text');
+        if (isMultiple) {
+            DOM.exam.optionsContainer.setAttribute('aria-describedby', 'options-hint');
+        } else {
+            DOM.exam.optionsContainer.removeAttribute('aria-describedby');
+        }
+    } else {
+        DOM.exam.optionsContainer.removeAttribute('role');
+        DOM.exam.optionsContainer.removeAttribute('aria-labelledby');
+        DOM.exam.optionsContainer.removeAttribute('aria-describedby');
+    }
+
+    // A radio group is one tab stop (the chosen option, else the first) with
+    // arrow keys moving within it; each checkbox is its own tab stop
+    const optionKeys = Object.keys(q.options || {}).sort();
+    const tabStopKey = optionKeys.includes(currentAnswer) ? currentAnswer : optionKeys[0];
+
+    // 2 to 6 options, A onwards (typed-answer questions have none)
+    optionKeys.forEach(optKey => {
+        const image = q.optionImages && q.optionImages[optKey];
+        if (q.options[optKey] || image) {
+            const isSelected = isMultiple
+                ? Array.isArray(currentAnswer) && currentAnswer.includes(optKey)
+                : currentAnswer === optKey;
             const el = document.createElement('div');
-            el.className = `option-item ${currentAnswer === optKey ? 'selected' : ''}`;
+            el.className = `option-item ${isMultiple ? 'option-multi' : ''} ${isSelected ? 'selected' : ''}`;
+            if (state.reviewMode) {
+                const correctKeys = [].concat(q.correctAnswer);
+                if (correctKeys.includes(optKey)) {
+                    el.classList.add('option-correct');
+                } else if (isSelected) {
+                    el.classList.add('option-wrong');
+                }
+            }
+            el.tabIndex = isMultiple || optKey === tabStopKey ? 0 : -1;
+            el.dataset.key = optKey;
+            el.setAttribute('role', isMultiple ? 'checkbox' : 'radio');
+            el.setAttribute('aria-checked', String(isSelected));
+            if (state.isSubmitted) {
+                el.setAttribute('aria-disabled', 'true');
+            }
             el.onclick = () => selectOption(q.questionId, optKey);
+            el.onkeydown = (e) => handleOptionKeydown(e, q.questionId, optKey);
             el.innerHTML = `
-                <div class="option-label">${optKey}</div>
-                <div class="option-content">${q.options[optKey]}</div>
+                ${isMultiple ? `<input type="checkbox" class="option-check" tabindex="-1" aria-hidden="true" ${isSelected ? 'checked' : ''}>` : ''}
+                <div class="option-label"><span class="sr-only">Option</span> ${optKey}</div>
+                <div class="option-content"></div>
             `;
+            const content = el.querySelector('.option-content');
+            // An image-only option has no text; the image's alt names it
+            if (q.options[optKey]) {
+                MathRender.renderInto(content, q.options[optKey]);
+            }
+            if (el.classList.contains('option-correct')) {
+                content.insertAdjacentHTML('beforeend', '<span class="sr-only">(correct answer)</span>');
+            } else if (el.classList.contains('option-wrong')) {
+                content.insertAdjacentHTML('beforeend', '<span class="sr-only">(your answer, incorrect)</span>');
+            }
+            if (image) {
+                content.appendChild(createExamImage(image, 'option-image'));
+            }
             DOM.exam.optionsContainer.appendChild(el);
         }
     });
 
+    // Correct answer and explanation (post-exam review only)
+    if (state.reviewMode) {
+        renderAnswerFeedback(q);
+    } else {
+        DOM.exam.feedback.hidden = true;
+    }
+
     // Update Buttons
     DOM.exam.btnPrev.disabled = index === 0;
 
@@ -552,18 +948,112 @@ function loadQuestion(index) {
         DOM.exam.btnFinish.classList.add('hidden');
     }
 
+    updateFlagButton();
     updatePaletteActive();
     saveActiveState();
 }
 
+/**
+ * Show the question's passage beside it, or hide the panel.
+ * Moving between questions of the same passage keeps the panel's scroll position.
+ */
+function renderPassage(passageId) {
+    const passage = passageId && (state.exam.passages || []).find(p => p.passageId === passageId);
+
+    if (!passage) {
+        DOM.exam.passagePanel.hidden = true;
+        DOM.exam.passagePanel.dataset.passageId = '';
+        DOM.exam.main.classList.remove('with-passage');
+        return;
+    }
+
+    if (DOM.exam.passagePanel.dataset.passageId !== passage.passageId) {
+        DOM.exam.passageTitle.textContent = passage.title || '';
+        MathRender.renderInto(DOM.exam.passageText, passage.text);
+        DOM.exam.passagePanel.dataset.passageId = passage.passageId;
+        DOM.exam.passagePanel.scrollTop = 0;
+    }
+    DOM.exam.passagePanel.hidden = false;
+    DOM.exam.main.classList.add('with-passage');
+}
+
+/**
+ * Build an <img> for a question/option image stored next to the exam file
+ */
+function createExamImage(image, className) {
+    const img = document.createElement('img');
+    img.className = className;
+    img.src = resolveExamAsset(image.src);
+    img.alt = image.alt;
+    img.draggable = false;
+    return img;
+}
+
+/**
+ * Render the input box for a numeric/text question
+ */
+function renderTypedAnswer(q, currentAnswer) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'typed-answer';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.maxLength = 200;
+    input.placeholder = q.type === 'numeric' ? 'Type your answer (a number)' : 'Type your answer';
+    if (q.type === 'numeric') {
+        input.inputMode = 'decimal';
+    }
+    input.value = currentAnswer || '';
+    input.disabled = state.isSubmitted;
+
+    // Update state without re-rendering, so the input keeps focus while typing
+    input.addEventListener('input', () => {
+        if (state.isSubmitted) return;
+
+        if (input.value.trim()) {
+            state.answers[q.questionId] = input.value;
+        } else {
+            delete state.answers[q.questionId];
+        }
+        updateStats();
+        renderPalette();
+        saveActiveState();
+    });
+
+    DOM.exam.optionsContainer.appendChild(input);
+}
+
 function selectOption(qId, optKey) {
     if (state.isSubmitted) return;
 
-    state.answers[qId] = optKey;
+    const q = state.exam.questions.find(item => item.questionId === qId);
+    if (q && q.type === 'multiple') {
+        // Toggle the option in the set of picks; an empty set counts as unanswered
+        const picks = Array.isArray(state.answers[qId]) ? [...state.answers[qId]] : [];
+        const pos = picks.indexOf(optKey);
+        if (pos === -1) {
+            picks.push(optKey);
+        } else {
+            picks.splice(pos, 1);
+        }
+
+        if (picks.length > 0) {
+            state.answers[qId] = picks.sort();
+        } else {
+            delete state.answers[qId];
+        }
+    } else {
+        state.answers[qId] = optKey;
+    }
+    // Re-rendering replaces the option elements; keep keyboard focus on the chosen one
+    const hadFocus = DOM.exam.optionsContainer.contains(document.activeElement);
     updateStats();
     loadQuestion(state.currentQIndex);
     renderPalette();
     saveActiveState();
+    if (hadFocus) {
+        focusOption(optKey);
+    }
 }
 
 function updateStats() {
@@ -573,6 +1063,30 @@ function updateStats() {
 
     DOM.exam.answeredCount.textContent = answered;
     DOM.exam.unansweredCount.textContent = unanswered;
+    DOM.exam.flaggedCount.textContent = Object.keys(state.flagged).length;
+}
+
+// --- FLAG FOR REVIEW ---
+function toggleFlag() {
+    if (state.isSubmitted) return;
+
+    const qId = state.exam.questions[state.currentQIndex].questionId;
+    if (state.flagged[qId]) {
+        delete state.flagged[qId];
+    } else {
+        state.flagged[qId] = true;
+    }
+    updateFlagButton();
+    updateStats();
+    renderPalette();
+    saveActiveState();
+}
+
+function updateFlagButton() {
+    const qId = state.exam.questions[state.currentQIndex].questionId;
+    const isFlagged = Boolean(state.flagged[qId]);
+    DOM.exam.btnFlag.classList.toggle('flag-active', isFlagged);
+    DOM.exam.btnFlagLabel.textContent = isFlagged ? 'Unflag' : 'Flag for Review';
 }
 
 // --- NAVIGATION CONTROLLERS ---
@@ -588,10 +1102,161 @@ DOM.exam.btnSkip.addEventListener('click', () => {
     loadQuestion(state.currentQIndex + 1);
 });
 
+DOM.exam.btnFlag.addEventListener('click', toggleFlag);
+
 DOM.exam.btnFinish.addEventListener('click', () => {
-    promptSubmit();
+    if (state.reviewMode) {
+        switchToScreen('result');
+        return;
+    }
+    if (state.exam.settings.allowReview) {
+        showReview();
+    } else {
+        promptSubmit();
+    }
 });
 
+// --- KEYBOARD OPERATION ---
+let focusReturnTarget = null; // Element to refocus when a dialog closes
+
+function activateOnEnterOrSpace(e, action) {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        e.stopPropagation();
+        action();
+    }
+}
+
+/**
+ * Enter/Space answers. In a radio group the arrow keys move to the next or
+ * previous option and select it, as in any radio group; in a checkbox group
+ * Up/Down only move focus, since each box is ticked on its own.
+ */
+function handleOptionKeydown(e, qId, optKey) {
+    const isRadio = e.currentTarget.getAttribute('role') === 'radio';
+    const forward = e.key === 'ArrowDown' || (isRadio && e.key === 'ArrowRight');
+    const backward = e.key === 'ArrowUp' || (isRadio && e.key === 'ArrowLeft');
+    if (forward || backward) {
+        e.preventDefault();
+        e.stopPropagation(); // Left/Right would otherwise change question
+        const items = [...DOM.exam.optionsContainer.querySelectorAll('.option-item')];
+        const pos = items.findIndex(item => item.dataset.key === optKey);
+        const next = items[(pos + (forward ? 1 : -1) + items.length) % items.length];
+        if (isRadio && !state.isSubmitted) {
+            selectOption(qId, next.dataset.key);
+            return;
+        }
+        if (isRadio) {
+            e.currentTarget.tabIndex = -1;
+            next.tabIndex = 0;
+        }
+        next.focus();
+        return;
+    }
+    activateOnEnterOrSpace(e, () => selectOption(qId, optKey));
+}
+
+function focusOption(optKey) {
+    const el = DOM.exam.optionsContainer.querySelector(`.option-item[data-key="${optKey}"]`);
+    if (el) el.focus();
+}
+
+// After keyboard navigation, put focus on the question text so the next Tab reaches its options
+function focusQuestion() {
+    DOM.exam.text.tabIndex = -1;
+    DOM.exam.text.focus();
+}
+
+function restoreFocus() {
+    if (focusReturnTarget && document.body.contains(focusReturnTarget)) {
+        focusReturnTarget.focus();
+    } else {
+        focusQuestion();
+    }
+    focusReturnTarget = null;
+}
+
+function isExamScreenActive() {
+    return Boolean(state.exam) && !DOM.screens.exam.hidden;
+}
+
+function shortcutsBlocked() {
+    return !isExamScreenActive() ||
+        !DOM.modal.overlay.hidden ||
+        !DOM.review.overlay.hidden ||
+        (typeof IntegrityModule !== 'undefined' && IntegrityModule.isWarningVisible());
+}
+
+function handleExamKeydown(e) {
+    if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+    // Escape closes whichever exam dialog is open
+    if (e.key === 'Escape' && isExamScreenActive()) {
+        if (!DOM.modal.overlay.hidden && !state.isSubmitted) {
+            e.preventDefault();
+            closeSubmitModal();
+            return;
+        }
+        if (!DOM.review.overlay.hidden) {
+            e.preventDefault();
+            closeReview();
+            return;
+        }
+    }
+
+    if (shortcutsBlocked()) return;
+
+    // Letters in a dropdown jump between its choices
+    if (e.target.tagName === 'SELECT') return;
+
+    // In the typed-answer box letters and digits are typed, not shortcuts
+    if (e.target.classList && e.target.classList.contains('typed-answer')) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            focusQuestion();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            loadQuestion(state.currentQIndex + 1);
+            focusQuestion();
+        }
+        return;
+    }
+
+    const q = state.exam.questions[state.currentQIndex];
+    const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+
+    if (key === 'ArrowRight' || key === 'N') {
+        e.preventDefault();
+        loadQuestion(state.currentQIndex + 1);
+        focusQuestion();
+    } else if (key === 'ArrowLeft' || key === 'P') {
+        e.preventDefault();
+        loadQuestion(state.currentQIndex - 1);
+        focusQuestion();
+    } else if (key === 'F' && !state.reviewMode) {
+        e.preventDefault();
+        toggleFlag();
+    } else if (key === 'S' && !state.reviewMode) {
+        e.preventDefault();
+        DOM.exam.btnFinish.click();
+    } else if (key === 'T' && !state.reviewMode) {
+        e.preventDefault();
+        announce(describeTimeLeft());
+    } else if (q.options && !state.isSubmitted) {
+        // Letters pick that option; digits pick the nth option
+        // (F flags, so a sixth option F is picked with 6)
+        const optionKeys = Object.keys(q.options).sort();
+        const optKey = /^[1-9]$/.test(key) ? optionKeys[Number(key) - 1] : key;
+        if (optionKeys.includes(optKey)) {
+            e.preventDefault();
+            selectOption(q.questionId, optKey);
+            focusOption(optKey);
+        }
+    }
+}
+
+document.addEventListener('keydown', handleExamKeydown);
+
 // --- PALETTE ---
 function renderPalette() {
     DOM.exam.palette.innerHTML = '';
@@ -600,14 +1265,36 @@ function renderPalette() {
         dot.className = 'nav-dot';
         dot.textContent = i + 1;
 
-        if (state.answers[q.questionId]) {
+        if (state.reviewMode) {
+            const graded = state.gradedAnswers[q.questionId];
+            if (graded && graded.marksAwarded > 0) {
+                dot.classList.add(graded.isCorrect ? 'review-correct' : 'answered');
+            } else if (Scoring.isAnswered(state.answers[q.questionId])) {
+                dot.classList.add('review-wrong');
+            }
+        } else if (state.answers[q.questionId]) {
             dot.classList.add('answered');
         }
+        if (state.flagged[q.questionId] && !state.reviewMode) {
+            dot.classList.add('flagged');
+            dot.title = 'Flagged for review';
+        }
         if (i === state.currentQIndex) {
             dot.classList.add('active-question');
+            dot.setAttribute('aria-current', 'step');
         }
 
+        const status = [];
+        if (!state.reviewMode && Scoring.isAnswered(state.answers[q.questionId])) status.push('answered');
+        if (state.flagged[q.questionId] && !state.reviewMode) status.push('flagged for review');
+        dot.setAttribute('role', 'button');
+        dot.setAttribute('aria-label', [`Question ${i + 1}`].concat(status).join(', '));
+        dot.tabIndex = 0;
         dot.onclick = () => loadQuestion(i);
+        dot.onkeydown = (e) => activateOnEnterOrSpace(e, () => {
+            loadQuestion(i);
+            focusQuestion();
+        });
         DOM.exam.palette.appendChild(dot);
     });
 }
@@ -616,11 +1303,102 @@ function updatePaletteActive() {
     renderPalette();
 }
 
+// --- REVIEW SCREEN ---
+function describeAnswer(q, answer) {
+    if (!Scoring.isAnswered(answer)) {
+        return 'Not answered';
+    }
+    if (Scoring.isTyped(q)) {
+        return `Your answer: "${answer.trim()}"`;
+    }
+    if (Array.isArray(answer)) {
+        return `Your answers: ${answer.join(', ')}`;
+    }
+    return `Your answer: ${answer}. ${optionLabel(q, answer)}`;
+}
+
+// Option text, or the image's alt text for an image-only option
+function optionLabel(q, key) {
+    const image = q.optionImages && q.optionImages[key];
+    return q.options[key] || (image ? image.alt : '');
+}
+
+function showReview() {
+    const total = state.exam.questions.length;
+    const answered = Object.keys(state.answers).length;
+    const flagged = Object.keys(state.flagged).length;
+    DOM.review.summary.textContent =
+        `${answered} of ${total} answered, ${total - answered} unanswered, ${flagged} flagged. Click a question to go back to it.`;
+
+    DOM.review.list.innerHTML = '';
+    state.exam.questions.forEach((q, i) => {
+        const answer = state.answers[q.questionId];
+        const item = document.createElement('li');
+        item.className = 'review-item';
+        if (!Scoring.isAnswered(answer)) item.classList.add('unanswered');
+
+        const num = document.createElement('span');
+        num.className = 'review-num';
+        num.textContent = i + 1;
+
+        const body = document.createElement('div');
+        body.className = 'review-body';
+        const question = document.createElement('div');
+        question.className = 'review-question';
+        MathRender.renderInto(question, q.questionText);
+        const answerLine = document.createElement('div');
+        answerLine.className = 'review-answer';
+        MathRender.renderInto(answerLine, describeAnswer(q, answer));
+        body.append(question, answerLine);
+
+        item.append(num, body);
+
+        if (state.flagged[q.questionId]) {
+            const flag = document.createElement('span');
+            flag.className = 'review-flag';
+            flag.textContent = 'Flagged';
+            item.appendChild(flag);
+        }
+
+        const jump = document.createElement('span');
+        jump.className = 'review-jump';
+        jump.textContent = 'Go to question';
+        item.appendChild(jump);
+
+        item.tabIndex = 0;
+        item.onclick = () => {
+            DOM.review.overlay.hidden = true;
+            loadQuestion(i);
+            focusQuestion();
+        };
+        item.onkeydown = (e) => activateOnEnterOrSpace(e, item.onclick);
+        DOM.review.list.appendChild(item);
+    });
+
+    focusReturnTarget = document.activeElement;
+    DOM.review.overlay.hidden = false;
+    const firstItem = DOM.review.list.querySelector('.review-item');
+    if (firstItem) firstItem.focus();
+}
+
+function closeReview() {
+    DOM.review.overlay.hidden = true;
+    restoreFocus();
+}
+
+DOM.review.btnBack.addEventListener('click', closeReview);
+
+DOM.review.btnSubmit.addEventListener('click', () => {
+    DOM.review.overlay.hidden = true;
+    promptSubmit();
+});
+
 // --- SUBMISSION ---
 function promptSubmit() {
     const total = state.exam.questions.length;
     const answered = Object.keys(state.answers).length;
     const unanswered = total - answered;
+    const flagged = Object.keys(state.flagged).length;
 
     if (unanswered > 0) {
         DOM.modal.unansweredCount.textContent = unanswered;
@@ -629,12 +1407,24 @@ function promptSubmit() {
         DOM.modal.warning.hidden = true;
     }
 
+    DOM.modal.flaggedCount.textContent = flagged;
+    DOM.modal.flagged.hidden = flagged === 0;
+
+    // Coming from the review screen, keep the element focused before it opened
+    if (!DOM.review.overlay.contains(document.activeElement)) {
+        focusReturnTarget = document.activeElement;
+    }
     DOM.modal.overlay.hidden = false;
+    // Safe default: Enter on the focused button goes back rather than submitting
+    DOM.modal.btnCancel.focus();
 }
 
-DOM.modal.btnCancel.addEventListener('click', () => {
+function closeSubmitModal() {
     DOM.modal.overlay.hidden = true;
-});
+    restoreFocus();
+}
+
+DOM.modal.btnCancel.addEventListener('click', closeSubmitModal);
 
 DOM.modal.btnConfirm.addEventListener('click', () => {
     submitExam(false);
@@ -652,10 +1442,30 @@ function submitExam(isAuto, submissionType = 'manual') {
     state.isSubmitted = true;
     clearInterval(state.timerId);
     DOM.modal.overlay.hidden = true;
-    clearActiveState();
-
+    DOM.review.overlay.hidden = true;
     state.timing.submittedAt = new Date().toISOString();
 
+    if (!state.exam.answerKey) {
+        gradeExam(isAuto, submissionType);
+        return;
+    }
+
+    // Encrypted exam: open the answer key only now. If that fails the saved session is kept.
+    ExamCrypto.unsealAnswers(state.exam, state.examKey)
+        .then(exam => {
+            state.exam = exam;
+            state.examKey = null;
+            gradeExam(isAuto, submissionType);
+        })
+        .catch(err => {
+            console.error('[Main] Could not open the answer key:', err);
+            alert("Your answers are saved on this computer but could not be graded. Please call your invigilator.");
+        });
+}
+
+function gradeExam(isAuto, submissionType) {
+    clearActiveState();
+
     let finalSubmissionType = submissionType;
     if (isAuto && submissionType === 'manual') {
         finalSubmissionType = 'auto-timeout';
@@ -663,6 +1473,7 @@ function submitExam(isAuto, submissionType = 'manual') {
 
     // CALCULATION
     let score = 0;
+    let marksDeducted = 0;
     let totalObtainable = 0;
     let correctCount = 0;
     let wrongCount = 0;
@@ -672,17 +1483,29 @@ function submitExam(isAuto, submissionType = 'manual') {
         const selected = state.answers[q.questionId] || null;
         const marks = q.marks || 1;
         totalObtainable += marks;
-        const isCorrect = selected === q.correctAnswer;
-        const marksAwarded = isCorrect ? marks : 0;
+        const { isCorrect, marksAwarded } = Scoring.scoreQuestion(q, selected, state.exam.settings);
 
         if (selected === null) {
             unansweredCount++;
         } else if (isCorrect) {
             correctCount++;
-            score += marks;
         } else {
             wrongCount++;
         }
+        score += marksAwarded;
+        if (marksAwarded < 0) {
+            marksDeducted -= marksAwarded;
+        }
+
+        if (Scoring.isTyped(q)) {
+            return {
+                questionId: q.questionId,
+                selectedOption: null,
+                responseText: selected === null ? null : selected.trim(),
+                isCorrect: isCorrect,
+                marksAwarded: marksAwarded
+            };
+        }
 
         return {
             questionId: q.questionId,
@@ -692,6 +1515,8 @@ function submitExam(isAuto, submissionType = 'manual') {
         };
     });
 
+    score = Scoring.finalTotal(score, state.exam.settings);
+    answersArray.forEach(answer => { state.gradedAnswers[answer.questionId] = answer; });
     const percentage = totalObtainable > 0 ? Math.round((score / totalObtainable) * 10000) / 100 : 0;
     const passMark = state.exam.settings.passMark || 50;
     const passed = percentage >= passMark;
@@ -748,8 +1573,31 @@ function submitExam(isAuto, submissionType = 'manual') {
         integrity: integrityData
     };
 
-    // Submit to Google Sheets
-    if (typeof SheetsSubmitter !== 'undefined') {
+    const negativeMarking = Scoring.getNegativeMarking(state.exam.settings);
+    if (negativeMarking.mode !== 'none') {
+        resultObject.scoring.marksDeducted = Scoring.roundMarks(marksDeducted);
+        resultObject.scoring.negativeMarking = negativeMarking;
+    }
+
+    const topicSubtotals = Scoring.topicSubtotals(state.exam.questions, state.gradedAnswers);
+    if (topicSubtotals.length > 0) {
+        resultObject.scoring.topics = topicSubtotals;
+    }
+
+    if (state.presentation) {
+        resultObject.presentation = state.presentation;
+    }
+
+    // Submit to Google Sheets: queue first, so the result survives a failed send or a closed tab
+    if (typeof ResultOutbox !== 'undefined') {
+        ResultOutbox.enqueue(resultObject, state.exam.settings.webhookUrl)
+            .then(() => ResultOutbox.flush())
+            .then(outcome => console.log('Sheets submission result:', outcome))
+            .catch(err => {
+                console.error('Result outbox unavailable, keeping result in localStorage:', err);
+                localStorage.setItem(`exam_result_${resultObject.submissionId}`, JSON.stringify(resultObject));
+            });
+    } else if (typeof SheetsSubmitter !== 'undefined') {
         SheetsSubmitter.submit(resultObject).then(response => {
             console.log('Sheets submission result:', response);
             if (!response.success) {
@@ -768,14 +1616,98 @@ function submitExam(isAuto, submissionType = 'manual') {
 
     if (state.exam.settings.showResults) {
         DOM.results.score.textContent = `${score} / ${totalObtainable}`;
+        renderTopicBreakdown(topicSubtotals);
     } else {
         DOM.results.score.textContent = "Submitted (Hidden)";
     }
 
+    // Answer review needs both settings: it reveals the answer key
+    DOM.results.btnReview.hidden = !(state.exam.settings.allowReview && state.exam.settings.showResults);
+
     // CRITICAL FIX: Use new screen switching function
     switchToScreen('result');
 }
 
+// Marks per topic under the score, so students see where they were strong or weak
+function renderTopicBreakdown(topicSubtotals) {
+    DOM.results.topicRows.innerHTML = '';
+    topicSubtotals.forEach(subtotal => {
+        const row = document.createElement('tr');
+        [subtotal.topic, `${subtotal.obtainedMarks} / ${subtotal.totalMarks}`, `${subtotal.percentage}%`].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        DOM.results.topicRows.appendChild(row);
+    });
+    DOM.results.topics.hidden = topicSubtotals.length === 0;
+}
+
+// --- POST-EXAM ANSWER REVIEW ---
+// Reuses the exam screen read-only: answers can't change once state.isSubmitted is set
+function startAnswerReview() {
+    state.reviewMode = true;
+    DOM.screens.exam.classList.add('review-mode');
+    DOM.exam.timer.textContent = 'Review';
+    DOM.exam.btnSkip.hidden = true;
+    DOM.exam.btnFlag.hidden = true;
+    DOM.exam.btnFinish.textContent = 'Back to Results';
+
+    lastAnnouncedQIndex = null;
+    switchToScreen('exam');
+    renderPalette();
+    loadQuestion(0);
+}
+
+function describeCorrectAnswer(q) {
+    if (Scoring.isTyped(q)) {
+        const tolerance = q.tolerance ? ` (±${q.tolerance})` : '';
+        return q.acceptedAnswers.join(' or ') + tolerance;
+    }
+    return [].concat(q.correctAnswer).map(key => `${key}. ${optionLabel(q, key)}`).join('; ');
+}
+
+function renderAnswerFeedback(q) {
+    const graded = state.gradedAnswers[q.questionId] || { isCorrect: false, marksAwarded: 0 };
+    const marks = q.marks || 1;
+
+    let statusClass = 'wrong';
+    let statusText = 'Incorrect';
+    if (!Scoring.isAnswered(state.answers[q.questionId])) {
+        statusClass = 'skipped';
+        statusText = 'Not answered';
+    } else if (graded.isCorrect) {
+        statusClass = 'correct';
+        statusText = 'Correct';
+    } else if (graded.marksAwarded > 0) {
+        statusClass = 'partial';
+        statusText = 'Partly correct';
+    }
+
+    DOM.exam.feedback.innerHTML = '';
+
+    const status = document.createElement('div');
+    status.className = `feedback-status ${statusClass}`;
+    status.textContent = `${statusText} (${graded.marksAwarded} of ${marks} mark${marks === 1 ? '' : 's'})`;
+
+    const correct = document.createElement('div');
+    correct.className = 'feedback-correct';
+    MathRender.renderInto(correct, `Correct answer: ${describeCorrectAnswer(q)}`);
+
+    DOM.exam.feedback.append(status, correct);
+
+    if (q.explanation) {
+        const explanation = document.createElement('div');
+        explanation.className = 'feedback-explanation';
+        MathRender.renderInto(explanation, q.explanation);
+        DOM.exam.feedback.appendChild(explanation);
+    }
+
+    DOM.exam.feedback.hidden = false;
+}
+
+DOM.results.btnReview.addEventListener('click', startAnswerReview);
+
 // --- AUTO EXAM LOAD VIA URL ---
 document.addEventListener("DOMContentLoaded", () => {
     if (state.examStartedManually) {
@@ -784,19 +1716,27 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     loadExamFromURL(
-        (examData) => {
-            console.log("Exam loaded via URL:", examData);
+        (examFile) => {
+            console.log("Exam loaded via URL:", examFile);
 
-            if (!validateExam(examData)) {
-                return;
-            }
+            openExamFile(examFile)
+                .then(({ exam: examData, unlocked }) => {
+                    if (!validateExam(examData)) {
+                        return;
+                    }
 
-            // Use proper screen switching
-            switchToScreen('exam');
-            startExam(examData);
+                    // Download diagrams before the timer starts
+                    return preloadExamImages(examData).then(() => {
+                        // Use proper screen switching
+                        switchToScreen('exam');
+                        return startExam(examData, unlocked);
+                    });
+                })
+                .catch(err => showError("Failed to load exam: " + err.message));
         },
-        (errorMessage) => {
+        (errorMessage, details = {}) => {
             console.log("No exam auto-loaded via URL:", errorMessage);
+            if (details.closed || details.manifestUnavailable) showError(errorMessage);
             initResumeDetection();
         }
     );
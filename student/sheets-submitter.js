@@ -49,10 +49,14 @@ const SheetsSubmitter = (function () {
     /**
      * Submit result to Google Sheets
      * @param {Object} resultData - Data conforming to results.schema.json
+     * @param {Object} [options] - { webhookUrl, maxRetries } overriding the configured values for this call
      * @returns {Promise<Object>} - { success, submissionId, timestamp, error }
      */
-    async function submit(resultData) {
-        if (!_config.webhookUrl) {
+    async function submit(resultData, options = {}) {
+        const webhookUrl = options.webhookUrl || _config.webhookUrl;
+        const maxRetries = options.maxRetries || _config.maxRetries;
+
+        if (!webhookUrl) {
             return {
                 success: false,
                 submissionId: resultData.submissionId,
@@ -63,9 +67,9 @@ const SheetsSubmitter = (function () {
 
         let lastError = null;
 
-        for (let attempt = 1; attempt <= _config.maxRetries; attempt++) {
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                const response = await fetch(_config.webhookUrl, {
+                const response = await fetch(webhookUrl, {
                     method: 'POST',
                     mode: 'no-cors', // Google Apps Script requires this
                     headers: {
@@ -86,7 +90,7 @@ const SheetsSubmitter = (function () {
                 lastError = error;
                 console.warn(`Submission attempt ${attempt} failed:`, error);
 
-                if (attempt < _config.maxRetries) {
+                if (attempt < maxRetries) {
                     await new Promise(resolve => setTimeout(resolve, _config.retryDelay));
                 }
             }
@@ -96,7 +100,7 @@ const SheetsSubmitter = (function () {
             success: false,
             submissionId: resultData.submissionId,
             timestamp: new Date().toISOString(),
-            error: `Network error after ${_config.maxRetries} attempts: ${lastError?.message || 'Unknown error'}`
+            error: `Network error after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`
         };
     }
 